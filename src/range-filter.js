@@ -4,8 +4,6 @@
  * Licensed under MIT (http://opensource.org/licenses/MIT)
  */
 
-var leftButtonDown = false;
-
 (function($){
     "use strict";
 
@@ -19,7 +17,345 @@ var leftButtonDown = false;
     // DEFAULT CONFIG
     // ===============================
     RangeFilter.DEFAULTS = {
-        filters: []
+        filters: [],
+        locale: 'pt',
+        lang: {},
+        intl: false,
+        presets: false,
+        preset: null,
+        now: null,
+        url: false,
+        persist: false,
+        histogram: null,
+        link: null,
+        clickMode: 'toggle',
+        fiscalYearStart: 1,
+        theme: 'bootstrap3',
+        plugins: null,
+        templates: {
+            button: null,
+            row: null
+        },
+        onBeforeChange: null,
+        onChange: null,
+        onAfterChange: null,
+        onFiltered: null,
+        onInit: null,
+        onDestroy: null,
+        onInvalid: null,
+        validation: {
+            mode: 'mark',
+            maxDays: 0,
+            blacklist: [],
+            validator: null
+        }
+    };
+
+    // PRESETS
+    // ===============================
+    /**
+     * Relative periods, each one resolved against the current date into a
+     * selection and the exact range of dates it covers
+     * "lastMonths" is used through the ids last{N}Months (last3Months, last12Months...)
+     */
+    RangeFilter.presets = {
+        thisMonth: function(now) {
+            return getRangeSelection(new Date(now.getFullYear(), now.getMonth(), 1), new Date(now.getFullYear(), now.getMonth() + 1, 0));
+        },
+        lastMonth: function(now) {
+            return getRangeSelection(new Date(now.getFullYear(), now.getMonth() - 1, 1), new Date(now.getFullYear(), now.getMonth(), 0));
+        },
+        ytd: function(now) {
+            return getRangeSelection(new Date(now.getFullYear(), 0, 1), new Date(now.getFullYear(), now.getMonth(), now.getDate()));
+        },
+        lastMonths: function(now, count) {
+            return getRangeSelection(new Date(now.getFullYear(), now.getMonth() - count, 1), new Date(now.getFullYear(), now.getMonth(), 0));
+        },
+        samePeriodLastYear: function(now) {
+            var year = now.getFullYear() - 1;
+            return getRangeSelection(new Date(year, 0, 1), new Date(year, now.getMonth(), Math.min(now.getDate(), daysInMonth(year, now.getMonth() + 1))));
+        },
+        lastQuarter: function(now) {
+            var start = now.getMonth() - now.getMonth() % 3 - 3;
+            return getRangeSelection(new Date(now.getFullYear(), start, 1), new Date(now.getFullYear(), start + 3, 0));
+        }
+    };
+
+    /**
+     * Presets shown when the "presets" option is true
+     */
+    RangeFilter.DEFAULT_PRESETS = ['thisMonth', 'lastMonth', 'ytd', 'last12Months', 'samePeriodLastYear', 'lastQuarter'];
+
+    // QUERY DIALECTS
+    // ===============================
+    /**
+     * Translations of the selection into backend queries, used by toQuery()
+     * Each dialect takes the model built by getQueryModel() and the options
+     * given to toQuery() ({field, maxRanges})
+     * The date ranges are used unless there are more than maxRanges of them and
+     * the selection can be written with date parts instead
+     */
+    RangeFilter.dialects = {
+        /**
+         * SQL WHERE condition (EXTRACT and BETWEEN)
+         * @return {string}
+         */
+        sql: function(query, options) {
+            var field = options.field,
+                clauses = [];
+            if (!query.ranges.length) {
+                return '1 = 0';
+            }
+            if (query.parts && query.ranges.length > options.maxRanges) {
+                $.each(query.parts, function(name, runs) {
+                    if (runs) {
+                        clauses.push(joinClauses($.map(runs, function(run) {
+                            var part = 'EXTRACT(' + name.toUpperCase() + ' FROM ' + field + ')';
+                            return run[0] == run[1] ? part + ' = ' + run[0] : part + ' BETWEEN ' + run[0] + ' AND ' + run[1];
+                        }), ' OR '));
+                    }
+                });
+            } else {
+                clauses.push(joinClauses($.map(query.ranges, function(range) {
+                    return '(' + field + " >= '" + range.from + "' AND " + field + " < '" + range.until + "')";
+                }), ' OR '));
+            }
+            if (query.time) {
+                clauses.push(joinClauses($.map(query.time, function(slot) {
+                    var minutes = '(EXTRACT(HOUR FROM ' + field + ') * 60 + EXTRACT(MINUTE FROM ' + field + '))';
+                    return '(' + minutes + ' >= ' + slot[0] + ' AND ' + minutes + ' < ' + slot[1] + ')';
+                }), ' OR '));
+            }
+            return clauses.join(' AND ');
+        },
+
+        /**
+         * OData $filter expression
+         * Dates are Edm.Date literals, or DateTimeOffset ones when the time of day
+         * is filtered, hour() and minute() needing a DateTimeOffset field
+         * @return {string}
+         */
+        odata: function(query, options) {
+            var field = options.field,
+                time = query.time ? 'T00:00:00Z' : '',
+                clauses = [];
+            if (!query.ranges.length) {
+                return 'false';
+            }
+            if (query.parts && query.ranges.length > options.maxRanges) {
+                $.each(query.parts, function(name, runs) {
+                    if (runs) {
+                        clauses.push(joinClauses($.map(runs, function(run) {
+                            var part = name + '(' + field + ')';
+                            return run[0] == run[1] ? part + ' eq ' + run[0] : '(' + part + ' ge ' + run[0] + ' and ' + part + ' le ' + run[1] + ')';
+                        }), ' or '));
+                    }
+                });
+            } else {
+                clauses.push(joinClauses($.map(query.ranges, function(range) {
+                    return '(' + field + ' ge ' + range.from + time + ' and ' + field + ' lt ' + range.until + time + ')';
+                }), ' or '));
+            }
+            if (query.time) {
+                clauses.push(joinClauses($.map(query.time, function(slot) {
+                    var minutes = '(hour(' + field + ') mul 60 add minute(' + field + '))';
+                    return '(' + minutes + ' ge ' + slot[0] + ' and ' + minutes + ' lt ' + slot[1] + ')';
+                }), ' or '));
+            }
+            return clauses.join(' and ');
+        },
+
+        /**
+         * Elasticsearch bool query made of range clauses
+         * The date parts and the time of day, having no range equivalent, are
+         * checked by scripts
+         * @return {object}
+         */
+        elasticsearch: function(query, options) {
+            var field = options.field,
+                filter = [];
+            if (!query.ranges.length) {
+                return { bool: { must_not: { match_all: {} } } };
+            }
+            if (query.parts && query.ranges.length > options.maxRanges) {
+                // runs of year, month and day, null for any
+                filter.push({
+                    script: {
+                        script: {
+                            source: 'def d = doc[params.field].value; int[] v = new int[] {d.getYear(), d.getMonthValue(), d.getDayOfMonth()}; ' +
+                                'for (int i = 0; i < 3; i++) { def runs = params.parts[i]; if (runs == null) { continue; } boolean found = false; ' +
+                                'for (r in runs) { if (v[i] >= r[0] && v[i] <= r[1]) { found = true; break; } } if (!found) { return false; } } return true;',
+                            params: { field: field, parts: [query.parts.year, query.parts.month, query.parts.day] }
+                        }
+                    }
+                });
+            } else {
+                filter.push({
+                    bool: {
+                        should: $.map(query.ranges, function(range) {
+                            var clause = { range: {} };
+                            clause.range[field] = { gte: range.from, lt: range.until };
+                            return clause;
+                        }),
+                        minimum_should_match: 1
+                    }
+                });
+            }
+            if (query.time) {
+                filter.push({
+                    script: {
+                        script: {
+                            source: 'def d = doc[params.field].value; int m = d.getHour() * 60 + d.getMinute(); ' +
+                                'for (s in params.slots) { if (m >= s[0] && m < s[1]) { return true; } } return false;',
+                            params: { field: field, slots: query.time }
+                        }
+                    }
+                });
+            }
+            return { bool: { filter: filter } };
+        }
+    };
+
+    // THEMES
+    // ===============================
+    /**
+     * Class maps of the markup, indexed by theme name
+     * They only give the look: the selection is kept by the instance and the
+     * buttons keep their own classes (btn-year, btn-day-all...) and ARIA attributes
+     */
+    RangeFilter.themes = {
+        bootstrap3: {
+            row: 'row',
+            button: 'btn btn-xs',
+            selected: 'btn-primary',
+            unselected: 'btn-default',
+            disabled: 'disabled',
+            badge: 'badge',
+            srOnly: 'sr-only',
+            invalid: 'has-error',
+            errors: 'text-danger',
+            columns: {
+                presets: 'col-md-12', year: 'col-md-3', semester: 'col-md-1', quarter: 'col-md-1', month: 'col-md-3',
+                day: 'col-md-5', weekday: 'col-md-2', week: 'col-md-5', hour: 'col-md-3', minute: 'col-md-2'
+            }
+        },
+        bootstrap5: {
+            row: 'd-flex flex-wrap',
+            button: 'btn btn-sm',
+            selected: 'btn-primary',
+            unselected: 'btn-outline-secondary',
+            disabled: 'disabled',
+            badge: 'badge text-bg-light',
+            srOnly: 'visually-hidden',
+            invalid: 'is-invalid',
+            errors: 'text-danger small',
+            columns: {
+                presets: 'col-12', year: 'col-md-3', semester: 'col-md-1', quarter: 'col-md-1', month: 'col-md-3',
+                day: 'col-md-5', weekday: 'col-md-2', week: 'col-md-5', hour: 'col-md-3', minute: 'col-md-2'
+            }
+        },
+        unstyled: {
+            row: '',
+            button: '',
+            selected: '',
+            unselected: '',
+            disabled: '',
+            badge: '',
+            srOnly: '',
+            invalid: '',
+            errors: '',
+            columns: {}
+        }
+    };
+
+    // LINK GROUPS
+    // ===============================
+    /**
+     * Instances sharing a group name (see the "link" option), indexed by name
+     */
+    RangeFilter.groups = {};
+
+    // LANGUAGES
+    // ===============================
+    /**
+     * Translations, indexed by locale code
+     * Packs are merged over the english one, so they may be partial
+     */
+    RangeFilter.regional = {
+        en: {
+            months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+            allDays: 'All',
+            allDaysTitle: 'Select all days',
+            yearLabel: 'Year',
+            fiscalYear: 'FY{0}',
+            previousYears: 'Previous years',
+            nextYears: 'Next years',
+            monthLabel: 'Month',
+            dayLabel: 'Day',
+            quarters: ['Q1', 'Q2', 'Q3', 'Q4'],
+            quarterLabel: 'Quarter',
+            semesters: ['H1', 'H2'],
+            semesterLabel: 'Semester',
+            weekdays: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+            weekdayLabel: 'Day of week',
+            firstDay: 0,
+            hourLabel: 'Hour',
+            minuteLabel: 'Minute',
+            presetsLabel: 'Periods',
+            presets: {
+                thisMonth: 'This month',
+                lastMonth: 'Last month',
+                ytd: 'Year to date',
+                lastMonths: 'Last {0} months',
+                samePeriodLastYear: 'Same period last year',
+                lastQuarter: 'Last quarter'
+            },
+            selectedCount: '{0}: {1} selected',
+            errors: {
+                required: '{0}: select at least one value',
+                minSelected: '{0}: select at least {1} values',
+                maxSelected: '{0}: select at most {1} values',
+                maxDays: 'Select at most {0} days',
+                blacklist: 'The selection includes the excluded date {0}'
+            }
+        },
+        pt: {
+            months: ['Jan', 'Fev', 'Mar', 'Abr', 'Mai', 'Jun', 'Jul', 'Ago', 'Set', 'Out', 'Nov', 'Dez'],
+            allDays: 'T',
+            allDaysTitle: 'Selecionar todos os dias',
+            yearLabel: 'Ano',
+            fiscalYear: 'AF{0}',
+            previousYears: 'Anos anteriores',
+            nextYears: 'Pr\u00f3ximos anos',
+            monthLabel: 'M\u00eas',
+            dayLabel: 'Dia',
+            quarters: ['T1', 'T2', 'T3', 'T4'],
+            quarterLabel: 'Trimestre',
+            semesters: ['S1', 'S2'],
+            semesterLabel: 'Semestre',
+            weekdays: ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'S\u00e1b'],
+            weekdayLabel: 'Dia da semana',
+            firstDay: 0,
+            hourLabel: 'Hora',
+            minuteLabel: 'Minuto',
+            presetsLabel: 'Per\u00edodos',
+            presets: {
+                thisMonth: 'Este m\u00eas',
+                lastMonth: 'M\u00eas passado',
+                ytd: 'Acumulado do ano',
+                lastMonths: '\u00daltimos {0} meses',
+                samePeriodLastYear: 'Mesmo per\u00edodo do ano passado',
+                lastQuarter: '\u00daltimo trimestre'
+            },
+            selectedCount: '{0}: {1} selecionado(s)',
+            errors: {
+                required: '{0}: selecione ao menos um valor',
+                minSelected: '{0}: selecione ao menos {1} valores',
+                maxSelected: '{0}: selecione no m\u00e1ximo {1} valores',
+                maxDays: 'Selecione no m\u00e1ximo {0} dias',
+                blacklist: 'A sele\u00e7\u00e3o inclui a data exclu\u00edda {0}'
+            }
+        }
     };
 
     /**
@@ -27,7 +363,30 @@ var leftButtonDown = false;
      * @param {object}
      */
     RangeFilter.extend = function(methods) {
-        $.extend(QueryBuilder.prototype, methods);
+        $.extend(RangeFilter.prototype, methods);
+    };
+
+    // PLUGINS
+    // ===============================
+    /**
+     * Registered plugins, indexed by name
+     */
+    RangeFilter.plugins = {};
+
+    /**
+     * Registers a plugin, enabled through the "plugins" option
+     * The function is called on init with the instance as "this" and the
+     * plugin options, merged over the defaults; it can add methods to the
+     * instance and register hooks with addHook()
+     * @param {string} name
+     * @param {function} fct
+     * @param {object} [def] default options
+     */
+    RangeFilter.define = function(name, fct, def) {
+        RangeFilter.plugins[name] = {
+            fct: fct,
+            def: def || {}
+        };
     };
 
     // PUBLIC METHODS
@@ -41,18 +400,55 @@ var leftButtonDown = false;
 
         this.filters = this.settings.filters;
         this.icons = this.settings.icons;
+        this.lang = this.getLang();
+        this.theme = this.getTheme();
+        this.$dragged = null;
+        this.paint = null;
+        this.anchors = {};
+        this.namespace = 'rangeFilter' + (++instances);
         this.year = new Array();
         this.month = new Array();
         this.day = new Array();
+        this.weekday = new Array();
+        this.week = new Array();
+        this.hour = new Array();
+        this.minute = new Array();
+        this.quarter = new Array();
+        this.semester = new Array();
+        this.selection = {};
+        this.restored = {};
+        this.errors = [];
+        this.preset = null;
+        this.presetRange = null;
+        this.boundData = null;
+        this.histogram = null;
+        this.yearRange = null;
+        this.yearPage = null;
+        this.links = [];
+        this.group = null;
+        this.plugins = {};
+        this.hooks = {};
         this.status = {
-            generatedId: false
+            generatedId: false,
+            initialized: false,
+            applyingPreset: false,
+            restoringUrl: false,
+            linking: false,
+            source: 'init'
         }
 
+        // PLUGINS may still change the settings
+        this.initPlugins();
+
         // CHECK FILTERS
         if (!this.filters || this.filters.length < 1) {
             $.error('Missing filters list');
         }
+        if (this.settings.histogram) {
+            this.histogram = this.getHistogramSettings();
+        }
         this.checkFilters();
+        this.mergePeriodSelection();
 
         // ensure we have a container id
         if (!this.$el.attr('id')) {
@@ -60,346 +456,3224 @@ var leftButtonDown = false;
             this.status.generatedId = true;
         }
         this.$el_id = this.$el.attr('id');
+
+        // RESTORE SELECTION, a shared URL wins over the saved state
+        if (this.settings.persist) {
+            this.restorePersisted();
+        }
+        if (this.settings.url) {
+            this.restoreState(this.readUrl());
+        }
+        // keep what destroy() has to put back
+        this.original = {
+            className: this.$el.attr('class'),
+            $contents: this.$el.contents().detach()
+        };
         //this.$el.addClass('row');
         this.$el.addClass('range-filter');
         // INIT
+        this.initSelection();
         this.draw();
         this.bindEvents();
-        this.prepareValues();
+        // the initial selection is committed either way
+        if (!this.settings.preset || !this.applyPreset(this.settings.preset)) {
+            this.prepareValues();
+        }
+        this.status.initialized = true;
+        if (this.settings.link) {
+            this.joinGroup();
+        }
+        this.runHook('afterInit');
+        this.trigger('init');
+        this.status.source = null;
     };
 
     /**
      * Destroy the plugin
      */
     RangeFilter.prototype.destroy = function() {
+        this.runHook('beforeDestroy');
+        this.trigger('destroy');
+        this.hooks = {};
         if (this.status.generatedId) {
             this.$el.removeAttr('id');
         }
 
+        $(document).off('.' + this.namespace);
+        $(window).off('.' + this.namespace);
+        this.$dragged = null;
+        this.leaveGroup();
+        this.unlink();
+
         this.$el.empty()
-            .off('click.rangeFilter change.rangeFilter')
-            .removeClass('reange-filter')
-            .removeData('rangeFilter');
-    };
-	
-    RangeFilter.prototype.getFilter = function() {
-        return {
-            year: this.year,
-            month: this.month,
-            day: this.day
-        };
-    };
-	
-    RangeFilter.prototype.draw = function() {
-        this.$el.empty();
-        this.$el.append(this.getYearInput());
-        this.$el.append(this.getMonthInput());
-        this.$el.append(this.getDayInput());
+            .off('.rangeFilter')
+            .removeData('rangeFilter')
+            .append(this.original.$contents);
+
+        if (this.original.className === undefined) {
+            this.$el.removeAttr('class');
+        } else {
+            this.$el.attr('class', this.original.className);
+        }
     };
-	
-    // MAIN METHODS
-    // ===============================
+
     /**
-     * Checks the configuration of each filter
+     * Returns the current selection
+     * While a preset is active, it also holds the preset id and the exact
+     * range of dates (from, to) it was resolved into
+     * @param {boolean} [symbolic] returns only {preset} while a preset is active
+     * @return {object}
      */
-    RangeFilter.prototype.checkFilters = function() {
-        var definedFilters = [],
-            that = this;
-        if (!that.filters.year){
-            $.error('Missing filter year configuration');
+    RangeFilter.prototype.getFilter = function(symbolic) {
+        if (symbolic && this.preset) {
+            return { preset: this.preset };
         }
-        if (!that.filters.year.start){
-            $.error('Missing filter year start configuration');
+        var that = this,
+            filter = {
+                year: this.year,
+                month: this.month,
+                day: this.day
+            };
+        $.each(['weekday', 'week', 'hour', 'minute'].concat(PERIODS), function(i, name) {
+            if (that.filters[name]) {
+                filter[name] = that[name];
+            }
+        });
+        if (this.filters.week) {
+            filter.weekRanges = this.getWeekRanges();
         }
-        if (!that.filters.year.finish){
-            $.error('Missing filter year finish configuration');
+        if (this.getFiscalYearStart() != 1) {
+            filter.fiscalYearStart = this.getFiscalYearStart();
+            filter.yearMonths = this.getYearMonths();
         }
-        if (!that.filters.month){
-            $.error('Missing filter month configuration');
+        if (this.preset) {
+            var from = this.presetRange.from,
+                to = this.presetRange.to;
+            // custom presets may give only years, months and days: the selected dates bound them
+            if (!from || !to) {
+                this.eachDate(function(date) {
+                    from = this.presetRange.from || from || date;
+                    to = this.presetRange.to || date;
+                });
+            }
+            filter.preset = this.preset;
+            if (from && to) {
+                filter.from = formatDate(from.getFullYear(), from.getMonth() + 1, from.getDate());
+                filter.to = formatDate(to.getFullYear(), to.getMonth() + 1, to.getDate());
+            }
         }
-        if (!that.filters.day){
-            $.error('Missing filter day configuration');
+        return filter;
+    };
+
+    /**
+     * Returns the selected calendar dates, skipping the ones that do not exist
+     * (31 April, 29 February of a common year...)
+     * With the lazy option an iterator is returned instead of an array, so long
+     * periods are never built in memory at once
+     * @param {object} [options] ({format: 'date'|'iso', lazy: boolean})
+     * @return {Date[]|string[]|object}
+     */
+    RangeFilter.prototype.getDates = function(options) {
+        var iterator = this.getDateIterator(options),
+            dates = [],
+            step;
+        if (options && options.lazy) {
+            return iterator;
+        }
+        while (!(step = iterator.next()).done) {
+            dates.push(step.value);
         }
+        return dates;
     };
 
     /**
-     * Add all events listeners
+     * Calls a function for each selected calendar date, in chronological order
+     * Returning false from the callback stops the iteration
+     * @param {function} callback (takes the date and its index)
+     * @param {object} [options] ({format: 'date'|'iso'})
      */
-    RangeFilter.prototype.prepareValues = function() {
-        var that = this;
-        that.year.clear();
-        this.$el.find('.btn-year').each(function(item){
-            var $element = $(this);
-            if ($element.hasClass('btn-primary')){
-                that.year.push($element.data('value'));
+    RangeFilter.prototype.eachDate = function(callback, options) {
+        var iterator = this.getDateIterator(options),
+            i = 0,
+            step;
+        while (!(step = iterator.next()).done) {
+            if (callback.call(this, step.value, i++) === false) {
+                break;
             }
-        });
-        that.month.clear();
-        this.$el.find('.btn-month').each(function(item){
-            var $element = $(this);
-            if ($element.hasClass('btn-primary')){
-                that.month.push($element.data('value'));
-            }
-        });
-        that.day.clear();
-        this.$el.find('.btn-day').each(function(item){
-            var $element = $(this);
-            if ($element.hasClass('btn-primary')){
-                that.day.push($element.data('value'));
+        }
+    };
+
+    /**
+     * Returns the selected periods of time, contiguous ones being merged
+     * Each interval starts at its first instant and ends right after its last one
+     * @param {object} [options] ({format: 'date'|'iso'})
+     * @return {object[]} ({start, end}, Date objects or YYYY-MM-DDTHH:mm strings)
+     */
+    RangeFilter.prototype.getIntervals = function(options) {
+        var intervals = [];
+        this.eachInterval(function(interval) {
+            intervals.push(interval);
+        }, options);
+        return intervals;
+    };
+
+    /**
+     * Calls a function for each selected period of time, in chronological order
+     * Returning false from the callback stops the iteration
+     * @param {function} callback (takes the interval and its index)
+     * @param {object} [options] ({format: 'date'|'iso'})
+     */
+    RangeFilter.prototype.eachInterval = function(callback, options) {
+        var that = this,
+            iso = options && options.format == 'iso',
+            slots = this.getTimeSlots(),
+            current = null,
+            stopped = false,
+            i = 0;
+
+        var emit = function() {
+            var interval = iso ? { start: formatDateTime(current.start), end: formatDateTime(current.end) } : current;
+            return callback.call(that, interval, i++);
+        };
+
+        this.eachDate(function(date) {
+            for (var k = 0; k < slots.length; k++) {
+                var start = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, slots[k][0]),
+                    end = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, slots[k][1]);
+                if (current && current.end.getTime() == start.getTime()) {
+                    current.end = end;
+                    continue;
+                }
+                if (current && emit() === false) {
+                    stopped = true;
+                    return false;
+                }
+                current = { start: start, end: end };
             }
         });
-        this.$el.trigger('rangefilter.change', this.getFilter());
-    },
-	
+
+        if (current && !stopped) {
+            emit();
+        }
+    };
+
     /**
-     * Add all events listeners
+     * Returns the selected time slots of a day, in minutes since midnight
+     * Without hour or minute filter the whole hours or the whole day are used
+     * @return {int[][]} ([start, end] pairs, contiguous slots being merged)
      */
-    RangeFilter.prototype.bindEvents = function() {
-        var that = this;
-		
-        leftButtonDown = false;
-        $(document).mousedown(function(e){
-            // Left mouse button was pressed, set flag
-            if(e.which === 1) leftButtonDown = true;
-        });
-        $(document).mouseup(function(e){
-            // Left mouse button was released, clear flag
-            if(e.which === 1) leftButtonDown = false;
-        });
-		
-        this.$el.on('mouseenter', '.btn-year, .btn-month, .btn-day', function() {
-            var $this = $(this);
-            if (leftButtonDown){
-                if ($this.hasClass('btn-primary')){
-                    $this.removeClass('btn-primary');
-                    $this.addClass('btn-default');
+    RangeFilter.prototype.getTimeSlots = function() {
+        var hours = this.isActive('hour') ? sortValues(this.hour) : this.getValues('hour'),
+            minutes = this.isActive('minute') ? sortValues(this.minute) : [0],
+            step = this.isActive('minute') ? this.getMinuteStep() : 60,
+            slots = [];
+
+        $.each(hours, function(i, hour) {
+            $.each(minutes, function(j, minute) {
+                var start = hour * 60 + minute,
+                    last = slots[slots.length - 1];
+                if (last && last[1] == start) {
+                    last[1] += step;
                 } else {
-                    $this.removeClass('btn-default');
-                    $this.addClass('btn-primary');
+                    slots.push([start, start + step]);
                 }
-            }
+            });
         });
+        return slots;
+    };
 
-        this.$el.on('mousedown', '.btn-year, .btn-month, .btn-day', function() {
-            var $this = $(this);
-            if ($this.hasClass('btn-primary')){
-                $this.removeClass('btn-primary');
-                $this.addClass('btn-default');
-            } else {
-                $this.removeClass('btn-default');
-                $this.addClass('btn-primary');
+    /**
+     * Translates the selection into a backend query
+     * @param {string} dialect (sql, odata, elasticsearch or any registered one)
+     * @param {object} options ({field, maxRanges: defaults to 20})
+     * @return {string|object}
+     */
+    RangeFilter.prototype.toQuery = function(dialect, options) {
+        if (!RangeFilter.dialects[dialect]) {
+            $.error('Unknown dialect ' + dialect);
+        }
+        options = $.extend({ field: null, maxRanges: 20 }, options);
+        if (!options.field) {
+            $.error('Missing query field');
+        }
+        return RangeFilter.dialects[dialect].call(this, this.getQueryModel(), options);
+    };
+
+    /**
+     * Describes the selection for the query dialects
+     *  - ranges: consecutive selected dates ({from, to, until}, until being the
+     *    day after to), empty when nothing can match
+     *  - parts: year, month and day runs ([first, last] pairs, null when every
+     *    value is selected), or null when other constraints apply
+     *  - time: time slots in minutes since midnight, null for whole days
+     * @return {object}
+     */
+    RangeFilter.prototype.getQueryModel = function() {
+        var that = this,
+            ranges = [],
+            current = null,
+            slots = this.getTimeSlots();
+
+        // no time of day selected: nothing can match, whatever the dates
+        this.eachDate(function(date) {
+            if (!slots.length) {
+                return false;
             }
-        });
-		
-        this.$el.on('mouseup', '.btn-year, .btn-month, .btn-day', function() {
-            var $this = $(this);
-            that.prepareValues();
-        });
-		
-        this.$el.on('click', '.btn-day-all', function() {
-            var $this = $(this);
-			
-            var $list = that.$el.find('.btn-day');
-            if ($this.hasClass('btn-primary')){
-                $list.removeClass('btn-primary');
-                $list.addClass('btn-default');
-                $this.removeClass('btn-primary');
-                $this.addClass('btn-default');
+            if (current && new Date(current.to.getFullYear(), current.to.getMonth(), current.to.getDate() + 1).getTime() == date.getTime()) {
+                current.to = date;
             } else {
-                $list.removeClass('btn-default');
-                $list.addClass('btn-primary');
-                $this.removeClass('btn-default');
-                $this.addClass('btn-primary');
+                current = { from: date, to: date };
+                ranges.push(current);
             }
-            that.prepareValues();
         });
+
+        var parts = null;
+        // fiscal years do not map onto calendar year parts
+        if (!this.presetRange && !this.isActive('weekday') && !this.isActive('week') && this.getFiscalYearStart() == 1) {
+            parts = {};
+            $.each(['year', 'month', 'day'], function(i, name) {
+                parts[name] = name != 'year' && that[name].length == that.getValues(name).length ? null : getRuns(that[name]);
+            });
+        }
+
+        return {
+            ranges: $.map(ranges, function(range) {
+                var until = new Date(range.to.getFullYear(), range.to.getMonth(), range.to.getDate() + 1);
+                return {
+                    from: formatDate(range.from.getFullYear(), range.from.getMonth() + 1, range.from.getDate()),
+                    to: formatDate(range.to.getFullYear(), range.to.getMonth() + 1, range.to.getDate()),
+                    until: formatDate(until.getFullYear(), until.getMonth() + 1, until.getDate())
+                };
+            }),
+            parts: parts,
+            time: slots.length == 1 && slots[0][0] === 0 && slots[0][1] == 1440 ? null : slots
+        };
     };
 
-    // TEMPLATES
-    // ===============================
     /**
-     * Returns years input
-     * @return {string}
+     * Returns the size of the minute buckets
+     * @return {int}
      */
-	RangeFilter.prototype.getYearInput = function() {
-        var year = this.settings.filters.year;
-        var btnclass = 'btn-default';
-        var template = '<div class="col-md-3 col-year"><div class="row">';
-        var checkSelected = false;
-        if (year.visible){
-            if (year.selected == '*'){
-                btnclass = 'btn-primary';
-            } else if ($.isArray(year.selected)){
-                checkSelected = true;
-            }
-            var j=0;
-            for(var i = year.start; i <= year.finish; i++){
-                if (j >= 5){
-                    template += '</div>';
-                    template += '<div class="row">';
-                    j = 0;
-                }
-				
-                if (checkSelected){
-                    if ($.inArray(i, year.selected) != -1){
-                        btnclass = 'btn-primary';
-                    }
-                }
-				
-                template += '<a class="btn ' + btnclass + ' btn-xs btn-year" data-value="'+i+'">' + i + '</a>';
-				
-                if (checkSelected){
-                    btnclass = 'btn-default';
-                }
-                j++;
-            }
-        }
-        template += '</div></div>';
-        return template;
-    }
-	
+    RangeFilter.prototype.getMinuteStep = function() {
+        return (this.filters.minute && this.filters.minute.step) || 15;
+    };
+
     /**
-     * Returns months input
-     * @return {string}
+     * Returns a lazy iterator over the selected calendar dates
+     * It follows the ES6 iterator protocol: next() returns {done, value}
+     * Selected ISO weeks are walked whole, even into the neighbouring years
+     * @param {object} [options] ({format: 'date'|'iso'})
+     * @return {object}
      */
-	RangeFilter.prototype.getMonthInput = function() {
-        var month = this.settings.filters.month;
-        var btnclass = 'btn-default';
-        var template = '<div class="col-md-3 col-month"><div class="row">';
-        var checkSelected = false;
-        if (month.visible){
-            if (month.selected == '*'){
-                btnclass = 'btn-primary';
-            } else if ($.isArray(month.selected)){
-                checkSelected = true;
-            }
-			
-            var months = new Array();
-            months[0] = "Jan";
-            months[1] = "Fev";
-            months[2] = "Mar";
-            months[3] = "Abr";
-            months[4] = "Mai";
-            months[5] = "Jun";
-            months[6] = "Jul";
-            months[7] = "Ago";
-            months[8] = "Set";
-            months[9] = "Out";
-            months[10] = "Nov";
-            months[11] = "Dez";
-			
-            var j=0;
-            for(var i = 0; i <= 11; i++){
-                if (j >= 6){
-                    template += '</div>';
-                    template += '<div class="row">';
-                    j = 0;
-                }
+    RangeFilter.prototype.getDateIterator = function(options) {
+        var that = this,
+            iso = options && options.format == 'iso',
+            yearMonths = this.hasWeekYears() ? this.getWeekYearMonths() : this.getYearMonths(),
+            days = sortValues(this.day),
+            i = 0,
+            j = 0;
 
-                if (checkSelected){
-                    if ($.inArray(i+1, month.selected) != -1){
-                        btnclass = 'btn-primary';
+        var iterator = {
+            next: function() {
+                while (i < yearMonths.length) {
+                    var current = yearMonths[i];
+                    while (j < days.length && days[j] <= daysInMonth(current.year, current.month)) {
+                        var day = days[j++],
+                            date = new Date(current.year, current.month - 1, day);
+                        if (that.isDateAllowed(date)) {
+                            return {
+                                done: false,
+                                value: iso ? formatDate(current.year, current.month, day) : date
+                            };
+                        }
                     }
+                    i++;
+                    j = 0;
                 }
-				
-                template += '<a class="btn '  + btnclass + ' btn-xs btn-month" data-value="'+(i+1)+'">' + months[i] + '</a>';
-				
-                if (checkSelected){
-                    btnclass = 'btn-default';
-                }
-                j++;
+                return { done: true, value: undefined };
             }
+        };
+        if (typeof Symbol == 'function' && Symbol.iterator) {
+            iterator[Symbol.iterator] = function() {
+                return this;
+            };
         }
-        template += '</div></div>';
-        return template;
-    }
+        return iterator;
+    };
 
     /**
-     * Returns days input
-     * @return {string}
+     * Tells if a date, with its time, is part of the selection
+     * @param {Date|string|number} value (Date, ISO string or epoch milliseconds)
+     * @return {boolean}
      */
-	RangeFilter.prototype.getDayInput = function() {
-        var day = this.settings.filters.day;
-        var btnclass = 'btn-default';
-        var template = '<div class="col-md-5 col-day"><div class="row">';
-        var checkSelected = false;
-        if (day.visible){
-            if (day.selected == '*'){
-                btnclass = 'btn-primary';
-            } else if ($.isArray(day.selected)){
-                checkSelected = true;
-            }
-
-            var j=0;
-            for(var i = 1; i <= 31; i++){
-                if (j >= 16){
-                    template += '</div>';
-                    template += '<div class="row">';
-                    j = 0;
-                }
-                if (checkSelected){
-                    if ($.inArray(i, day.selected) != -1){
-                        btnclass = 'btn-primary';
-                    }
-                }
-				
-                template += '<a class="btn ' + btnclass + ' btn-xs btn-day" data-value="'+i+'">' + i + '</a>';
-				
-                if (checkSelected){
-                    btnclass = 'btn-default';
-                }
-                j++;
-            }
-            template += '<a class="btn ' + btnclass + ' btn-xs btn-day-all">T</a>';
-        }
-        template += '</div></div>';
-        return template;
-    }
-	
-    // JQUERY PLUGIN DEFINITION
-    // ===============================
-    $.fn.rangeFilter = function(option) {
-        if (this.length > 1) {
-            $.error('Unable to initialize on multiple target');
+    RangeFilter.prototype.matches = function(value) {
+        var date = parseDate(value);
+        if (!date) {
+            return false;
         }
-
-        var data = this.data('rangeFilter'),
-            options = (typeof option == 'object' && option) || {};
-
-        if (!data && option == 'destroy') {
-            return this;
+        // with ISO weeks, isDateAllowed checks the week-numbering year instead
+        if ((!this.hasWeekYears() && $.inArray(this.getFiscalYear(date), this.year) == -1) ||
+            $.inArray(date.getMonth() + 1, this.month) == -1 ||
+            $.inArray(date.getDate(), this.day) == -1 ||
+            !this.isDateAllowed(new Date(date.getFullYear(), date.getMonth(), date.getDate()))) {
+            return false;
         }
-        if (!data) {
-            this.data('rangeFilter', new RangeFilter(this, options));
+        if (this.isActive('hour') && $.inArray(date.getHours(), this.hour) == -1) {
+            return false;
         }
-        if (typeof option == 'string') {
-            return data[option].apply(data, Array.prototype.slice.call(arguments, 1));
+        if (this.isActive('minute')) {
+            var step = this.getMinuteStep();
+            if ($.inArray(Math.floor(date.getMinutes() / step) * step, this.minute) == -1) {
+                return false;
+            }
         }
+        return true;
+    };
 
-        return this;
+    /**
+     * Returns the items of an array whose date is part of the selection
+     * @param {array} data
+     * @param {function|string} [accessor] returns the date of an item, or names
+     *     the property holding it (the items are dates themselves by default)
+     * @return {array}
+     */
+    RangeFilter.prototype.filterData = function(data, accessor) {
+        var that = this;
+        return $.grep(data, function(item) {
+            return that.matches(getItemDate(item, accessor));
+        });
     };
 
-    $.fn.rangeFilter.defaults = {
-        set: function(options) {
-            $.extendext(true, 'replace', RangeFilter.DEFAULTS, options);
-        },
-        get: function(key) {
-            var options = RangeFilter.DEFAULTS;
-            if (key) {
-                options = options[key];
-            }
-            return $.extend(true, {}, options);
+    /**
+     * Filters an array again on each change, the result being sent with the
+     * rangefilter.filtered event
+     * @param {array} data
+     * @param {function|string} [accessor] as in filterData()
+     */
+    RangeFilter.prototype.bindData = function(data, accessor) {
+        this.boundData = { data: data, accessor: accessor };
+        if (this.filters.year.start == 'data' || this.filters.year.finish == 'data') {
+            // the change of range sends the filtered data
+            this.setYearRange(this.filters.year.start, this.filters.year.finish);
+        } else {
+            this.trigger('filtered', [this.filterData(data, accessor)]);
         }
     };
 
-    $.fn.rangeFilter.constructor = RangeFilter;
-    $.fn.rangeFilter.extend = RangeFilter.extend;
-    $.fn.rangeFilter.define = RangeFilter.define;
+    /**
+     * Stops filtering the array given to bindData()
+     */
+    RangeFilter.prototype.unbindData = function() {
+        this.boundData = null;
+    };
 
-    // UTILITIES
-    // ===============================
     /**
-     * Utility to iterate over radio/checkbox/selection options.
+     * Changes the years shown, the selected years out of the new range being dropped
+     * When all the years of the range are selected, as configured with "*", all the
+     * years of the new range are
+     * @param {int|string|Date} start (see resolveYear())
+     * @param {int|string|Date} finish
+     */
+    RangeFilter.prototype.setYearRange = function(start, finish) {
+        var range = {
+                start: this.resolveYear(start, 'start'),
+                finish: this.resolveYear(finish, 'finish')
+            },
+            years = this.filters.year.selected == '*' && this.year.length == this.getValues('year').length ?
+                '*' : this.year.slice();
+
+        if (isNaN(range.start) || isNaN(range.finish) || range.start > range.finish) {
+            $.error('Invalid filter year range');
+        }
+        this.filters.year.start = start;
+        this.filters.year.finish = finish;
+        this.yearRange = range;
+        this.yearPage = null;
+        this.setSelection('year', years);
+        this.$el.find('.col-year').replaceWith(this.getYearInput());
+        if (this.yearPage !== null) {
+            this.setYearPage(this.yearPage);
+        }
+        this.initFocus();
+        this.prepareValues();
+    };
+
+    /**
+     * Returns the years shown
+     * @return {object} ({start, finish})
+     */
+    RangeFilter.prototype.getYearRange = function() {
+        return $.extend({}, this.yearRange);
+    };
+
+    /**
+     * Shows the page of years holding a year, when the years are paged
+     * @param {int} year
+     */
+    RangeFilter.prototype.setYearPage = function(year) {
+        var that = this,
+            size = this.getYearPageSize(),
+            range = this.yearRange,
+            $group = this.$el.find('.col-year');
+
+        if (!size) {
+            return;
+        }
+        year = Math.min(Math.max(year, range.start), range.finish);
+        this.yearPage = year - ((year % size) + size) % size;
+        $group.find('.year-page').each(function() {
+            var $page = $(this);
+            $page.prop('hidden', $page.data('page') != that.yearPage);
+        });
+        $group.find('.year-page-label').text(Math.max(this.yearPage, range.start) + '\u2013' + Math.min(this.yearPage + size - 1, range.finish));
+        this.setButtonDisabled($group.find('.btn-year-prev'), 'bounds', this.yearPage <= range.start);
+        this.setButtonDisabled($group.find('.btn-year-next'), 'bounds', this.yearPage + size > range.finish);
+    };
+
+    /**
+     * Keeps the selection of some filters in sync with other range filters,
+     * both ways, the other ones first taking the current selection
+     * @param {string|Element|jQuery|RangeFilter} target
+     * @param {object} options ({granularities: filter names, all the FILTERS by default})
+     */
+    RangeFilter.prototype.link = function(target, options) {
+        var that = this,
+            granularities = (options && options.granularities) || FILTERS;
+
+        $.each(getInstances(target), function(i, other) {
+            if (other === that) {
+                return;
+            }
+            that.unlink(other);
+            that.links.push({ target: other, granularities: granularities });
+            other.links.push({ target: that, granularities: granularities });
+            that.forwardSelection(that.links[that.links.length - 1]);
+        });
+    };
+
+    /**
+     * Stops syncing with other range filters
+     * @param {string|Element|jQuery|RangeFilter} [target] (all the linked ones by default)
+     */
+    RangeFilter.prototype.unlink = function(target) {
+        var that = this,
+            targets = target === undefined ? $.map(this.links, function(link) { return link.target; }) : getInstances(target);
+
+        $.each(targets, function(i, other) {
+            that.links = $.grep(that.links, function(link) { return link.target !== other; });
+            other.links = $.grep(other.links, function(link) { return link.target !== that; });
+        });
+    };
+
+    /**
+     * Returns the range filters linked to this one
+     * @return {jQuery} their elements
+     */
+    RangeFilter.prototype.getLinks = function() {
+        return $($.map(this.links, function(link) { return link.target.$el.get(0); }));
+    };
+
+    /**
+     * Checks the constraints applied on top of the year/month/day product
+     * @param {Date} date
+     * @return {boolean}
+     */
+    RangeFilter.prototype.isDateAllowed = function(date) {
+        if (this.presetRange && ((this.presetRange.from && date < this.presetRange.from) ||
+            (this.presetRange.to && date > this.presetRange.to))) {
+            return false;
+        }
+        if (this.isActive('weekday') && $.inArray(date.getDay(), this.weekday) == -1) {
+            return false;
+        }
+        if (this.isActive('week')) {
+            // a week belongs to its week-numbering year, which may differ from the calendar one
+            var week = getWeek(date, this.getWeekSystem());
+            if ($.inArray(week.week, this.week) == -1 || $.inArray(week.year, this.getCalendarYears()) == -1) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    /**
+     * Returns the first and last dates of each selected week of each selected year
+     * ISO weeks may start in the previous year or end in the next one, US weeks
+     * are cut at the year boundaries
+     * @return {object[]} ({year, week, start, end}, dates as YYYY-MM-DD)
+     */
+    RangeFilter.prototype.getWeekRanges = function() {
+        var system = this.getWeekSystem(),
+            weeks = sortValues(this.week),
+            ranges = [];
+        $.each(this.getCalendarYears(), function(i, year) {
+            $.each(weeks, function(j, week) {
+                if (week > getWeeksInYear(year, system)) {
+                    return;
+                }
+                var start = getWeekStart(year, week, system),
+                    end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+                if (system == 'us') {
+                    start = new Date(Math.max(start, new Date(year, 0, 1)));
+                    end = new Date(Math.min(end, new Date(year, 11, 31)));
+                }
+                ranges.push({
+                    year: year,
+                    week: week,
+                    start: formatDate(start.getFullYear(), start.getMonth() + 1, start.getDate()),
+                    end: formatDate(end.getFullYear(), end.getMonth() + 1, end.getDate())
+                });
+            });
+        });
+        return ranges;
+    };
+
+    /**
+     * Returns the week numbering system of the week filter
+     * @return {string} 'iso' or 'us'
+     */
+    RangeFilter.prototype.getWeekSystem = function() {
+        return (this.filters.week && this.filters.week.system) || 'iso';
+    };
+
+    /**
+     * Tells if an optional filter is configured and visible
+     * @param {string} name
+     * @return {boolean}
+     */
+    RangeFilter.prototype.isActive = function(name) {
+        return !!(this.filters[name] && this.filters[name].visible);
+    };
+
+    /**
+     * Returns the selected calendar year/month pairs, in chronological order
+     * Fiscal years are spread over the calendar years they overlap
+     * @return {object[]} ({year, month})
+     */
+    RangeFilter.prototype.getYearMonths = function() {
+        var that = this,
+            months = this.sortMonths(this.month),
+            pairs = [];
+        $.each(sortValues(this.year), function(i, year) {
+            $.each(months, function(j, month) {
+                pairs.push({ year: that.getCalendarYear(year, month), month: month });
+            });
+        });
+        return pairs;
+    };
+
+    /**
+     * Tells if the selected years are week-numbering years rather than calendar ones
+     * It is the case of ISO weeks of calendar years, which can start in late December
+     * of the previous year or end in early January of the next one
+     * @return {boolean}
+     */
+    RangeFilter.prototype.hasWeekYears = function() {
+        return this.isActive('week') && this.getWeekSystem() == 'iso' && this.getFiscalYearStart() == 1;
+    };
+
+    /**
+     * Returns the selected year/month pairs, widened to the December before and the
+     * January after each run of selected years, where their first and last ISO weeks may be
+     * @return {object[]} ({year, month})
+     */
+    RangeFilter.prototype.getWeekYearMonths = function() {
+        var years = sortValues(this.year),
+            months = sortValues(this.month),
+            december = $.inArray(12, months) != -1,
+            january = $.inArray(1, months) != -1,
+            pairs = [];
+        $.each(years, function(i, year) {
+            if (december && $.inArray(year - 1, years) == -1) {
+                pairs.push({ year: year - 1, month: 12 });
+            }
+            $.each(months, function(j, month) {
+                pairs.push({ year: year, month: month });
+            });
+            if (january && $.inArray(year + 1, years) == -1) {
+                pairs.push({ year: year + 1, month: 1 });
+            }
+        });
+        return pairs;
+    };
+
+    /**
+     * Returns the calendar years overlapped by the selected years
+     * @return {int[]}
+     */
+    RangeFilter.prototype.getCalendarYears = function() {
+        var fiscal = this.getFiscalYearStart() != 1,
+            years = [];
+        $.each(sortValues(this.year), function(i, year) {
+            if (fiscal && $.inArray(year - 1, years) == -1) {
+                years.push(year - 1);
+            }
+            years.push(year);
+        });
+        return years;
+    };
+
+    /**
+     * Returns the month the fiscal year starts with (1 for calendar years)
+     * @return {int}
+     */
+    RangeFilter.prototype.getFiscalYearStart = function() {
+        return this.settings.fiscalYearStart || 1;
+    };
+
+    /**
+     * Returns the fiscal year of a date, named after the calendar year it ends in
+     * @param {Date} date
+     * @return {int}
+     */
+    RangeFilter.prototype.getFiscalYear = function(date) {
+        return getFiscalYear(date.getFullYear(), date.getMonth() + 1, this.getFiscalYearStart());
+    };
+
+    /**
+     * Returns the calendar year a month of a fiscal year falls in
+     * @param {int} year fiscal year
+     * @param {int} month
+     * @return {int}
+     */
+    RangeFilter.prototype.getCalendarYear = function(year, month) {
+        var start = this.getFiscalYearStart();
+        return start != 1 && month >= start ? year - 1 : year;
+    };
+
+    /**
+     * Sorts months in the order of the fiscal year
+     * @param {int[]} months
+     * @return {int[]}
+     */
+    RangeFilter.prototype.sortMonths = function(months) {
+        var start = this.getFiscalYearStart();
+        return months.slice().sort(function(a, b) {
+            return (a - start + 12) % 12 - (b - start + 12) % 12;
+        });
+    };
+
+    /**
+     * Selects the period of a preset and keeps its id until the selection is
+     * changed by other means
+     * Presets out of the year range are ignored, they would select nothing
+     * @param {string} id
+     * @return {boolean} false if the preset was ignored, cancelled or blocked
+     */
+    RangeFilter.prototype.applyPreset = function(id) {
+        var resolved = this.getPresetSelection(id),
+            applied = false,
+            that = this;
+        if (!this.isPresetAvailable(resolved)) {
+            return false;
+        }
+        $.each(['year', 'month', 'day'], function(i, name) {
+            that.setSelection(name, resolved[name]);
+        });
+        var previous = { preset: this.preset, presetRange: this.presetRange };
+        this.status.applyingPreset = true;
+        this.preset = id;
+        // custom presets may omit the bounds, nothing is cut then
+        this.presetRange = { from: resolved.from || null, to: resolved.to || null };
+        try {
+            applied = this.prepareValues();
+            if (!applied) {
+                this.preset = previous.preset;
+                this.presetRange = previous.presetRange;
+            }
+        } finally {
+            this.status.applyingPreset = false;
+        }
+        return applied;
+    };
+
+    /**
+     * Returns the id of the active preset
+     * @return {string|null}
+     */
+    RangeFilter.prototype.getPreset = function() {
+        return this.preset;
+    };
+
+    /**
+     * Tells if a preset id is known, as a custom preset or a built-in one
+     * @param {string} id
+     * @return {boolean}
+     */
+    RangeFilter.prototype.isPresetDefined = function(id) {
+        return !!(this.getCustomPreset(id) || RangeFilter.presets.hasOwnProperty(id) || /^last\d+Months$/.test(id));
+    };
+
+    /**
+     * Resolves a preset against the current date
+     * @param {string} id
+     * @return {object} ({year, month, day, from, to})
+     */
+    RangeFilter.prototype.resolvePreset = function(id) {
+        var now = this.getNow(),
+            custom = this.getCustomPreset(id),
+            months = /^last(\d+)Months$/.exec(id);
+        if (custom) {
+            return custom.resolve.call(this, now);
+        }
+        if (RangeFilter.presets[id]) {
+            return RangeFilter.presets[id].call(this, now);
+        }
+        if (months) {
+            return RangeFilter.presets.lastMonths.call(this, now, parseInt(months[1], 10));
+        }
+        $.error('Unknown preset ' + id);
+    };
+
+    /**
+     * Returns the selection of a preset, with fiscal years when they are used
+     * @param {string} id
+     * @return {object} (as given by resolvePreset())
+     */
+    RangeFilter.prototype.getPresetSelection = function(id) {
+        var resolved = this.resolvePreset(id);
+        if (this.getFiscalYearStart() != 1 && resolved.from && resolved.to) {
+            resolved = $.extend({}, resolved, { year: [] });
+            for (var date = new Date(resolved.from.getFullYear(), resolved.from.getMonth(), 1); date <= resolved.to; date.setMonth(date.getMonth() + 1)) {
+                if ($.inArray(this.getFiscalYear(date), resolved.year) == -1) {
+                    resolved.year.push(this.getFiscalYear(date));
+                }
+            }
+        }
+        return resolved;
+    };
+
+    /**
+     * Tells if a preset selects at least one year of the year range
+     * @param {object} resolved (as given by getPresetSelection())
+     * @return {boolean}
+     */
+    RangeFilter.prototype.isPresetAvailable = function(resolved) {
+        var years = this.getValues('year');
+        return resolved.year == '*' || $.grep(normalizeValues(resolved.year), function(year) {
+            return $.inArray(year, years) != -1;
+        }).length > 0;
+    };
+
+    /**
+     * Returns the current date, which the "now" option can replace
+     * @return {Date}
+     */
+    RangeFilter.prototype.getNow = function() {
+        var now = this.settings.now;
+        if ($.isFunction(now)) {
+            now = now.call(this);
+        }
+        return now ? new Date(now) : new Date();
+    };
+
+    /**
+     * Returns the selection in a compact form, where '*' stands for every value
+     * of a filter, or only the preset id while a preset is active
+     * @return {object}
+     */
+    RangeFilter.prototype.getState = function() {
+        var that = this,
+            state = {};
+        if (this.preset) {
+            return { preset: this.preset };
+        }
+        $.each(FILTERS, function(i, name) {
+            if (that.filters[name]) {
+                state[name] = that[name].length && that[name].length == that.getValues(name).length ? '*' : sortValues(that[name]);
+            }
+        });
+        return state;
+    };
+
+    /**
+     * Replaces the selection with a state given by getState()
+     * @param {object} state
+     */
+    RangeFilter.prototype.setState = function(state) {
+        if (state.preset) {
+            this.applyPreset(state.preset);
+        } else {
+            this.setFilter(state);
+        }
+    };
+
+    /**
+     * Replaces the selection of the given filters
+     * Quarters and semesters are added to the month selection
+     * @param {object} filter ({year, month, day, quarter, semester}, each an array of values or '*')
+     */
+    RangeFilter.prototype.setFilter = function(filter) {
+        var that = this,
+            months = null;
+        $.each(FILTERS, function(i, name) {
+            if (filter && filter[name] !== undefined) {
+                that.setSelection(name, filter[name]);
+            }
+        });
+        // the months of all the periods add up, to the given months if any
+        $.each(PERIODS, function(i, name) {
+            if (filter && filter[name] !== undefined && filter.month != '*') {
+                months = (months || (filter.month === undefined ? [] : normalizeValues(filter.month)))
+                    .concat(that.getPeriodMonths(name, filter[name]));
+            }
+        });
+        if (months) {
+            this.setSelection('month', months);
+        }
+        this.prepareValues();
+    };
+
+    /**
+     * Adds values to the selection of a filter
+     * Quarters and semesters add their months
+     * @param {string} name
+     * @param {int|int[]} values
+     */
+    RangeFilter.prototype.select = function(name, values) {
+        var that = this;
+        if ($.inArray(name, PERIODS) != -1) {
+            this.setPeriodSelection(name, values, true);
+        } else {
+            values = normalizeValues(values);
+            this.getButtons(name).each(function() {
+                var $element = $(this);
+                if ($.inArray($element.data('value'), values) != -1) {
+                    that.setButtonState($element, true);
+                }
+            });
+        }
+        this.prepareValues();
+    };
+
+    /**
+     * Removes values from the selection of a filter
+     * Quarters and semesters remove their months
+     * @param {string} name
+     * @param {int|int[]} values
+     */
+    RangeFilter.prototype.deselect = function(name, values) {
+        var that = this;
+        if ($.inArray(name, PERIODS) != -1) {
+            this.setPeriodSelection(name, values, false);
+        } else {
+            values = normalizeValues(values);
+            this.getButtons(name).each(function() {
+                var $element = $(this);
+                if ($.inArray($element.data('value'), values) != -1) {
+                    that.setButtonState($element, false);
+                }
+            });
+        }
+        this.prepareValues();
+    };
+
+    /**
+     * Selects every value of a filter, or of all filters if no name is given
+     * @param {string} [name]
+     */
+    RangeFilter.prototype.selectAll = function(name) {
+        var that = this;
+        $.each(name ? [name] : FILTERS, function(i, name) {
+            if ($.inArray(name, PERIODS) != -1) {
+                that.setPeriodSelection(name, '*', true);
+            } else {
+                that.setSelection(name, '*');
+            }
+        });
+        this.prepareValues();
+    };
+
+    /**
+     * Deselects every value of a filter, or of all filters if no name is given
+     * @param {string} [name]
+     */
+    RangeFilter.prototype.clear = function(name) {
+        var that = this;
+        $.each(name ? [name] : FILTERS, function(i, name) {
+            if ($.inArray(name, PERIODS) != -1) {
+                that.setPeriodSelection(name, '*', false);
+            } else {
+                that.setSelection(name, []);
+            }
+        });
+        this.prepareValues();
+    };
+
+    /**
+     * Adds the months of quarters or semesters to the pending month selection,
+     * or removes them from it
+     * @param {string} name ('quarter' or 'semester')
+     * @param {int|int[]|string} values ('*' for all)
+     * @param {boolean} selected
+     */
+    RangeFilter.prototype.setPeriodSelection = function(name, values, selected) {
+        var months = this.getPeriodMonths(name, values),
+            current = this.selection.month || [];
+        this.setSelection('month', selected ? current.concat(months) : $.grep(current, function(month) {
+            return $.inArray(month, months) == -1;
+        }));
+    };
+
+    /**
+     * Restores the selection defined by the "selected" option of each filter
+     */
+    RangeFilter.prototype.reset = function() {
+        var that = this;
+        $.each(FILTERS, function(i, name) {
+            that.setSelection(name, (that.filters[name] && that.filters[name].selected) || []);
+        });
+        this.prepareValues();
+    };
+	
+    RangeFilter.prototype.draw = function() {
+        this.runHook('beforeDraw');
+        this.$el.empty();
+        if (this.settings.presets) {
+            this.$el.append(this.getPresetsInput());
+        }
+        this.$el.append(this.getYearInput());
+        if (this.filters.semester) {
+            this.$el.append(this.getSemesterInput());
+        }
+        if (this.filters.quarter) {
+            this.$el.append(this.getQuarterInput());
+        }
+        this.$el.append(this.getMonthInput());
+        this.$el.append(this.getDayInput());
+        if (this.filters.weekday) {
+            this.$el.append(this.getWeekdayInput());
+        }
+        if (this.filters.week) {
+            this.$el.append(this.getWeekInput());
+        }
+        if (this.filters.hour) {
+            this.$el.append(this.getHourInput());
+        }
+        if (this.filters.minute) {
+            this.$el.append(this.getMinuteInput());
+        }
+        this.$el.append(this.getStatusRegion());
+        this.$el.append(this.getErrorsRegion());
+        if (this.yearPage !== null) {
+            this.setYearPage(this.yearPage);
+        }
+        this.initFocus();
+        this.runHook('afterDraw');
+    };
+	
+    // MAIN METHODS
+    // ===============================
+    /**
+     * Builds the translations for the configured locale
+     * The english pack fills the gaps of the selected one, names coming from
+     * Intl.DateTimeFormat come next and the "lang" option overrides everything
+     * @return {object}
+     */
+    RangeFilter.prototype.getLang = function() {
+        var locale = this.settings.locale || 'en',
+            regional = RangeFilter.regional,
+            pack = regional[locale] || regional[locale.split('-')[0]] || {},
+            intl = {};
+
+        if (this.settings.intl && typeof Intl == 'object' && Intl.DateTimeFormat) {
+            try {
+                var format = new Intl.DateTimeFormat(locale, { month: 'short' });
+                intl.months = [];
+                for (var i = 0; i < 12; i++) {
+                    intl.months.push(format.format(new Date(2000, i, 1)));
+                }
+                // 2 January 2000 was a Sunday
+                format = new Intl.DateTimeFormat(locale, { weekday: 'short' });
+                intl.weekdays = [];
+                for (i = 0; i < 7; i++) {
+                    intl.weekdays.push(format.format(new Date(2000, 0, 2 + i)));
+                }
+            }
+            catch (e) {
+                // invalid locale tag (RangeError), the packs give the names
+                intl = {};
+            }
+        }
+
+        return $.extendext(true, 'replace', {}, regional.en, pack, intl, this.settings.lang);
+    };
+
+    /**
+     * Checks the configuration of each filter
+     */
+    RangeFilter.prototype.checkFilters = function() {
+        var definedFilters = [],
+            that = this;
+        if (!that.filters.year){
+            $.error('Missing filter year configuration');
+        }
+        if (!that.filters.year.start){
+            $.error('Missing filter year start configuration');
+        }
+        if (!that.filters.year.finish){
+            $.error('Missing filter year finish configuration');
+        }
+        that.yearRange = {
+            start: that.resolveYear(that.filters.year.start, 'start'),
+            finish: that.resolveYear(that.filters.year.finish, 'finish')
+        };
+        if (isNaN(that.yearRange.start) || isNaN(that.yearRange.finish) || that.yearRange.start > that.yearRange.finish){
+            $.error('Invalid filter year range');
+        }
+        if (!that.filters.month){
+            $.error('Missing filter month configuration');
+        }
+        if (!that.filters.day){
+            $.error('Missing filter day configuration');
+        }
+        if (!(that.getFiscalYearStart() >= 1 && that.getFiscalYearStart() <= 12)){
+            $.error('Fiscal year start must be a month');
+        }
+        if (that.filters.minute && 60 % that.getMinuteStep() !== 0){
+            $.error('Minute step must divide an hour');
+        }
+    };
+
+    /**
+     * Triggers an event on the element, then calls the matching callback option
+     * Events (rangefilter.<name>), with their extra arguments:
+     *  - beforechange (proposed selection, editable), cancellable
+     *  - change (filter), after each commit of the selection
+     *  - yearchange, monthchange... (values, {added, removed}), per changed filter
+     *  - afterchange (filter, {added, removed} by filter), when something changed
+     *  - filtered (matching items of the bound data)
+     *  - init, destroy
+     * The event tells where the change comes from in its "source" property:
+     * init, user, api, url or link
+     * Callbacks (onBeforeChange, onChange, onYearChange...) take the same
+     * arguments as the listeners, returning false cancels the event
+     * @param {string} name
+     * @param {array} [args]
+     * @return {jQuery.Event}
+     */
+    RangeFilter.prototype.trigger = function(name, args) {
+        var e = $.Event('rangefilter', { namespace: name, source: this.getSource() }),
+            callback = this.settings[getCallbackName(name)];
+        this.$el.trigger(e, args);
+        if ($.isFunction(callback) && callback.apply(this, [e].concat(args || [])) === false) {
+            e.preventDefault();
+        }
+        return e;
+    };
+
+    /**
+     * Returns where the current change comes from
+     * @return {string} init, user, api, url or link
+     */
+    RangeFilter.prototype.getSource = function() {
+        if (this.status.restoringUrl) {
+            return 'url';
+        }
+        return this.status.source || 'api';
+    };
+
+    /**
+     * Runs a function, the changes it makes being flagged with a source
+     * @param {string} source
+     * @param {function} callback
+     */
+    RangeFilter.prototype.withSource = function(source, callback) {
+        var previous = this.status.source;
+        this.status.source = source;
+        try {
+            callback.call(this);
+        } finally {
+            this.status.source = previous;
+        }
+    };
+
+    /**
+     * Starts the plugins of the "plugins" option, given as a list of names,
+     * a list of one-entry maps or a map of names to options
+     */
+    RangeFilter.prototype.initPlugins = function() {
+        var that = this;
+        iterateOptions(this.settings.plugins, function(key, options) {
+            var name = typeof key == 'number' ? options : key,
+                plugin = RangeFilter.plugins[name];
+            if (!plugin) {
+                $.error('Unable to find plugin ' + name);
+            }
+            that.plugins[name] = $.extendext(true, 'replace', {}, plugin.def, typeof key == 'number' ? {} : options);
+            plugin.fct.call(that, that.plugins[name]);
+        });
+    };
+
+    /**
+     * Registers a function called at a stage of the life of the instance
+     *  - afterInit, beforeDraw, afterDraw, beforeDestroy: no arguments
+     *  - beforeChange: the pending selection
+     *  - afterChange: the filter and the previous selection
+     * @param {string} name
+     * @param {function} callback (called with the instance as "this")
+     */
+    RangeFilter.prototype.addHook = function(name, callback) {
+        if ($.inArray(name, HOOKS) == -1) {
+            $.error('Unknown hook ' + name);
+        }
+        (this.hooks[name] || (this.hooks[name] = [])).push(callback);
+    };
+
+    /**
+     * Calls the functions registered for a hook
+     * @param {string} name
+     */
+    RangeFilter.prototype.runHook = function(name) {
+        var that = this,
+            args = Array.prototype.slice.call(arguments, 1);
+        $.each(this.hooks[name] || [], function(i, callback) {
+            callback.apply(that, args);
+        });
+    };
+
+    /**
+     * Returns the class map of the configured theme
+     * A custom map is merged over the unstyled one
+     * @return {object}
+     */
+    RangeFilter.prototype.getTheme = function() {
+        var theme = this.settings.theme;
+        if (typeof theme == 'string') {
+            if (!RangeFilter.themes[theme]) {
+                $.error('Unknown theme ' + theme);
+            }
+            theme = RangeFilter.themes[theme];
+        }
+        return $.extend(true, {}, RangeFilter.themes.unstyled, theme);
+    };
+
+    /**
+     * Resolves a bound of the year range
+     * Besides years and dates (counted in fiscal years when the fiscal year
+     * does not start in January), bounds may be relative to the current date
+     * ('now', 'now-5', 'now+1') or 'data', the first or last year found in
+     * the histogram and the bound data (the current year when there is none)
+     * @param {int|string|Date} value
+     * @param {string} bound ('start' or 'finish')
+     * @return {int} NaN when the value is invalid
+     */
+    RangeFilter.prototype.resolveYear = function(value, bound) {
+        var years, match;
+        if (value == 'data') {
+            years = this.getDataYears();
+            if (years.length) {
+                // no Math.min.apply(), large data would overflow the stack
+                var year = years[0];
+                for (var i = 1; i < years.length; i++) {
+                    year = bound == 'start' ? Math.min(year, years[i]) : Math.max(year, years[i]);
+                }
+                return year;
+            }
+            value = 'now';
+        }
+        if (Object.prototype.toString.call(value) == '[object Date]') {
+            return this.getFiscalYear(value);
+        }
+        match = /^now\s*(?:([+-])\s*(\d+))?$/.exec(value);
+        if (match) {
+            return this.getFiscalYear(this.getNow()) + (match[1] == '-' ? -1 : 1) * (match[2] || 0);
+        }
+        return parseInt(value, 10);
+    };
+
+    /**
+     * Returns the years of the histogram and of the bound data
+     * @return {int[]}
+     */
+    RangeFilter.prototype.getDataYears = function() {
+        var that = this,
+            years = [];
+        if (this.histogram) {
+            $.each(this.histogram.entries, function(i, entry) {
+                years.push(entry.year);
+            });
+        }
+        if (this.boundData) {
+            var accessor = this.boundData.accessor;
+            $.each(this.boundData.data, function(i, item) {
+                var date = parseDate(getItemDate(item, accessor));
+                if (date) {
+                    years.push(that.getFiscalYear(date));
+                }
+            });
+        }
+        return years;
+    };
+
+    /**
+     * Returns the number of years per page, 0 when the years fit on a single page
+     * @return {int}
+     */
+    RangeFilter.prototype.getYearPageSize = function() {
+        var size = this.filters.year.pageSize || 0;
+        return size && this.yearRange.finish - this.yearRange.start >= size ? size : 0;
+    };
+
+    /**
+     * Returns the ids of the presets to show
+     * @return {string[]}
+     */
+    RangeFilter.prototype.getPresetIds = function() {
+        var presets = this.settings.presets === true ? RangeFilter.DEFAULT_PRESETS : this.settings.presets || [];
+        return $.map(presets, function(preset) {
+            return $.isPlainObject(preset) ? preset.id : preset;
+        });
+    };
+
+    /**
+     * Returns a preset defined in the "presets" option
+     * @param {string} id
+     * @return {object|undefined} ({id, label, resolve})
+     */
+    RangeFilter.prototype.getCustomPreset = function(id) {
+        return $.grep($.isArray(this.settings.presets) ? this.settings.presets : [], function(preset) {
+            return $.isPlainObject(preset) && preset.id == id;
+        })[0];
+    };
+
+    /**
+     * Returns the label of a preset
+     * @param {string} id
+     * @return {string}
+     */
+    RangeFilter.prototype.getPresetLabel = function(id) {
+        var custom = this.getCustomPreset(id),
+            months = /^last(\d+)Months$/.exec(id);
+        if (custom) {
+            return custom.label || id;
+        }
+        if (months) {
+            return fmt(this.lang.presets.lastMonths, months[1]);
+        }
+        return this.lang.presets[id] || id;
+    };
+
+    /**
+     * Returns the buttons of a filter
+     * @param {string} name
+     * @return {jQuery}
+     */
+    RangeFilter.prototype.getButtons = function(name) {
+        if ($.inArray(name, FILTERS) == -1) {
+            $.error('Unknown filter ' + name);
+        }
+        return this.$el.find('.btn-' + name);
+    };
+
+    /**
+     * Selects or deselects buttons, the values of the filter buttons being
+     * added to or removed from the pending selection
+     * @param {jQuery} $element
+     * @param {boolean} selected
+     */
+    RangeFilter.prototype.setButtonState = function($element, selected) {
+        var that = this;
+        $element.each(function() {
+            var $button = $(this),
+                name = $button.closest('[role=group]').data('filter'),
+                value = $button.data('value');
+            if ($.inArray(name, FILTERS) != -1 && value !== undefined) {
+                that.selection[name] = $.grep(that.selection[name], function(item) {
+                    return item !== value;
+                });
+                if (selected) {
+                    that.selection[name].push(value);
+                }
+            }
+        });
+        this.renderButtonState($element, selected);
+    };
+
+    /**
+     * Shows buttons as selected or not
+     * @param {jQuery} $element
+     * @param {boolean} selected
+     */
+    RangeFilter.prototype.renderButtonState = function($element, selected) {
+        $element.removeClass(selected ? this.theme.unselected : this.theme.selected)
+            .addClass(selected ? this.theme.selected : this.theme.unselected)
+            .attr('aria-pressed', selected ? 'true' : 'false');
+    };
+
+    /**
+     * Disables or enables buttons for a given reason, a button staying
+     * disabled as long as one reason remains
+     * @param {jQuery} $element
+     * @param {string} reason
+     * @param {boolean} disabled
+     */
+    RangeFilter.prototype.setButtonDisabled = function($element, reason, disabled) {
+        var that = this;
+        $element.each(function() {
+            var $button = $(this),
+                reasons = $button.data('disabledBy') || {},
+                any = false;
+            reasons[reason] = disabled;
+            $button.data('disabledBy', reasons);
+            $.each(reasons, function(key, value) {
+                any = any || value;
+            });
+            $button.toggleClass(that.theme.disabled, any);
+            if (any) {
+                $button.attr('aria-disabled', 'true');
+            } else {
+                $button.removeAttr('aria-disabled');
+            }
+        });
+    };
+
+    /**
+     * Builds the pending selection from the restored state, or else from the
+     * "selected" option of each filter, which reset() keeps going back to
+     * Hidden filters have no buttons, hence nothing selected
+     */
+    RangeFilter.prototype.initSelection = function() {
+        var that = this;
+        $.each(FILTERS, function(i, name) {
+            if (that.filters[name]) {
+                that.selection[name] = [];
+                that.setSelection(name, name in that.restored ? that.restored[name] : that.filters[name].selected || []);
+            }
+        });
+        this.restored = {};
+    };
+
+    /**
+     * Tells if a value is part of the pending selection of a filter
+     * @param {string} name
+     * @param {int} value
+     * @return {boolean}
+     */
+    RangeFilter.prototype.isSelected = function(name, value) {
+        return !!this.selection[name] && $.inArray(value, this.selection[name]) != -1;
+    };
+
+    /**
+     * Sets the pending selection of a filter without firing the change event
+     * @param {string} name
+     * @param {int[]|string} values ('*' selects all)
+     */
+    RangeFilter.prototype.setSelection = function(name, values) {
+        var that = this,
+            $buttons = this.getButtons(name),
+            available = this.filters[name] && this.filters[name].visible ? this.getValues(name) : [];
+        values = values == '*' ? available : normalizeValues(values);
+        this.selection[name] = $.grep(available, function(value) {
+            return $.inArray(value, values) != -1;
+        });
+        $buttons.each(function() {
+            var $element = $(this);
+            that.renderButtonState($element, that.isSelected(name, $element.data('value')));
+        });
+    };
+
+    /**
+     * Commits the pending selection and fires the change events
+     * Listeners of the beforechange event may edit the proposed selection or
+     * cancel the change, the pending selection going back to the current one
+     * @return {boolean} false when the change was cancelled
+     */
+    RangeFilter.prototype.prepareValues = function() {
+        var that = this,
+            proposed = $.extend(true, {}, this.selection),
+            current = { preset: this.preset, presetRange: this.presetRange },
+            previous = {},
+            diff = { added: {}, removed: {} },
+            errors;
+        this.runHook('beforeChange', $.extend(true, {}, this.selection));
+        if (this.trigger('beforechange', [proposed]).isDefaultPrevented()) {
+            this.revertSelection();
+            return false;
+        }
+        $.each(proposed, function(name, values) {
+            that.setSelection(name, values || []);
+        });
+        if (!this.status.applyingPreset) {
+            this.preset = null;
+            this.presetRange = null;
+        }
+        $.each(FILTERS, function(i, name) {
+            previous[name] = that[name].slice();
+            that[name].clear();
+            $.each(sortValues(that.selection[name] || []), function(j, value) {
+                that[name].push(value);
+            });
+            diff.added[name] = $.grep(that[name], function(value) {
+                return $.inArray(value, previous[name]) == -1;
+            });
+            diff.removed[name] = $.grep(previous[name], function(value) {
+                return $.inArray(value, that[name]) == -1;
+            });
+            if (!diff.added[name].length && !diff.removed[name].length) {
+                delete diff.added[name];
+                delete diff.removed[name];
+            }
+        });
+
+        // a blocked change puts the previous selection back; from an invalid
+        // selection, the changes which do not make things worse go through
+        errors = this.validate();
+        if (this.status.initialized && this.settings.validation.mode == 'block' && isWorse(errors, this.errors)) {
+            $.each(FILTERS, function(i, name) {
+                that[name].clear();
+                $.each(previous[name], function(j, value) {
+                    that[name].push(value);
+                });
+            });
+            this.preset = current.preset;
+            this.presetRange = current.presetRange;
+            this.revertSelection();
+            this.trigger('invalid', [errors]);
+            return false;
+        }
+        this.errors = errors;
+        this.renderErrors();
+
+        this.$el.find('.btn-preset').each(function() {
+            var $element = $(this);
+            that.setButtonState($element, $element.data('preset') == that.preset);
+        });
+        this.setButtonState(this.$el.find('.btn-day-all'), that.day.length > 0 && that.day.length == this.getValues('day').length);
+        this.syncPeriods();
+        this.checkDays();
+        this.checkWeeks();
+        this.checkPresets();
+        this.updateCounts();
+        if (this.status.initialized) {
+            this.announce(previous);
+            if (this.settings.url && !this.status.restoringUrl) {
+                this.writeUrl();
+            }
+        }
+        if (this.settings.persist) {
+            this.savePersisted();
+        }
+        this.trigger('change', [this.getFilter()]);
+        if (errors.length) {
+            this.trigger('invalid', [errors]);
+        }
+        if (!$.isEmptyObject(diff.added)) {
+            $.each(diff.added, function(name) {
+                that.trigger(name + 'change', [that[name].slice(), { added: diff.added[name], removed: diff.removed[name] }]);
+            });
+            this.trigger('afterchange', [this.getFilter(), diff]);
+        }
+        if (this.boundData) {
+            this.trigger('filtered', [this.filterData(this.boundData.data, this.boundData.accessor)]);
+        }
+        if (this.status.initialized) {
+            $.each(this.links.slice(), function(i, link) {
+                that.forwardSelection(link);
+            });
+        }
+        this.runHook('afterChange', this.getFilter(), previous);
+        return true;
+    };
+
+    /**
+     * Puts the current selection back in place of the pending one
+     */
+    RangeFilter.prototype.revertSelection = function() {
+        var that = this;
+        $.each(FILTERS, function(i, name) {
+            if (that.filters[name]) {
+                that.setSelection(name, that[name]);
+            }
+        });
+    };
+
+    /**
+     * Checks the current selection against the constraints
+     *  - minSelected, maxSelected and required, in the settings of each filter
+     *  - maxDays, blacklist (dates or {from, to} periods) and validator, in
+     *    the "validation" option; the validator takes the filter and returns
+     *    nothing, an error message or a list of messages
+     * Measurable errors tell by how much the constraint is broken
+     * @return {object[]} ({filter: name or null, code, message, [excess]})
+     */
+    RangeFilter.prototype.validate = function() {
+        var that = this,
+            settings = this.settings.validation,
+            errors = [],
+            blacklist = [],
+            blocked = null,
+            count = 0;
+
+        $.each(FILTERS, function(i, name) {
+            var filter = that.filters[name],
+                label = that.lang[name + 'Label'],
+                length = that[name].length;
+            if (!filter) {
+                return;
+            }
+            // hidden filters select nothing, they cannot be required
+            if (filter.visible && filter.required && !length) {
+                errors.push({ filter: name, code: 'required', message: fmt(that.lang.errors.required, label) });
+            } else if (filter.visible && filter.minSelected && length < filter.minSelected) {
+                errors.push({ filter: name, code: 'minSelected', message: fmt(that.lang.errors.minSelected, label, filter.minSelected), excess: filter.minSelected - length });
+            }
+            if (filter.maxSelected && length > filter.maxSelected) {
+                errors.push({ filter: name, code: 'maxSelected', message: fmt(that.lang.errors.maxSelected, label, filter.maxSelected), excess: length - filter.maxSelected });
+            }
+        });
+
+        $.each(settings.blacklist || [], function(i, entry) {
+            var from = parseDate($.isPlainObject(entry) ? entry.from : entry),
+                to = parseDate($.isPlainObject(entry) ? entry.to : entry);
+            if (from && to) {
+                blacklist.push({ from: new Date(from.getFullYear(), from.getMonth(), from.getDate()), to: to });
+            }
+        });
+        if (settings.maxDays || blacklist.length) {
+            // maxDays needs the whole count, the blacklist alone stops at the first blocked date
+            this.eachDate(function(date) {
+                count++;
+                if (!blocked && $.grep(blacklist, function(range) { return date >= range.from && date <= range.to; }).length) {
+                    blocked = date;
+                }
+                return !((blocked || !blacklist.length) && !settings.maxDays);
+            });
+        }
+        if (settings.maxDays && count > settings.maxDays) {
+            errors.push({ filter: null, code: 'maxDays', message: fmt(this.lang.errors.maxDays, settings.maxDays), excess: count - settings.maxDays });
+        }
+        if (blocked) {
+            errors.push({ filter: null, code: 'blacklist', message: fmt(this.lang.errors.blacklist, formatDate(blocked.getFullYear(), blocked.getMonth() + 1, blocked.getDate())) });
+        }
+
+        if ($.isFunction(settings.validator)) {
+            var messages = settings.validator.call(this, this.getFilter());
+            $.each(typeof messages == 'string' ? [messages] : ($.isArray(messages) ? messages : []), function(i, message) {
+                errors.push({ filter: null, code: 'validator', message: message });
+            });
+        }
+        return errors;
+    };
+
+    /**
+     * Shows the broken constraints, flagging the filters they concern
+     */
+    RangeFilter.prototype.renderErrors = function() {
+        var that = this,
+            $errors = this.$el.find('.range-filter-errors').empty();
+
+        this.$el.toggleClass('range-filter-invalid', this.errors.length > 0);
+        this.$el.find('[role=group]').each(function() {
+            var $group = $(this),
+                invalid = $.grep(that.errors, function(error) {
+                    return error.filter == $group.data('filter');
+                }).length > 0;
+            $group.toggleClass(that.theme.invalid, invalid);
+            if (invalid) {
+                $group.attr('aria-invalid', 'true');
+            } else {
+                $group.removeAttr('aria-invalid');
+            }
+        });
+        $.each(this.errors, function(i, error) {
+            $errors.append($('<div></div>').text(error.message));
+        });
+    };
+
+    /**
+     * Tells if the selection meets the constraints
+     * @return {boolean}
+     */
+    RangeFilter.prototype.isValid = function() {
+        return !this.errors.length;
+    };
+
+    /**
+     * Returns the broken constraints
+     * @return {object[]} ({filter: name or null, code, message})
+     */
+    RangeFilter.prototype.getErrors = function() {
+        return $.extend(true, [], this.errors);
+    };
+
+    /**
+     * Copies the selection of the linked filters to another range filter
+     * The source being flagged while the target changes, changes coming back
+     * through the links are ignored
+     * @param {object} link ({target, granularities})
+     */
+    RangeFilter.prototype.forwardSelection = function(link) {
+        var that = this,
+            target = link.target,
+            filter = {},
+            changed = false;
+
+        if (target.status.linking) {
+            return;
+        }
+        $.each(link.granularities, function(i, name) {
+            if ($.inArray(name, FILTERS) == -1 || !that.filters[name] || !target.filters[name]) {
+                return;
+            }
+            if (sortValues(that[name]).join() != sortValues(target[name]).join()) {
+                filter[name] = that[name].slice();
+                changed = true;
+            }
+        });
+        if (!changed) {
+            return;
+        }
+        this.status.linking = true;
+        try {
+            target.withSource('link', function() {
+                target.setFilter(filter);
+            });
+        } finally {
+            this.status.linking = false;
+        }
+    };
+
+    /**
+     * Links this range filter to the other members of its group, taking
+     * their current selection
+     */
+    RangeFilter.prototype.joinGroup = function() {
+        var that = this,
+            settings = typeof this.settings.link == 'string' ? { group: this.settings.link } : this.settings.link,
+            members = RangeFilter.groups[settings.group] || (RangeFilter.groups[settings.group] = []);
+
+        $.each(members, function(i, member) {
+            member.link(that, settings);
+        });
+        members.push(this);
+        this.group = settings.group;
+    };
+
+    /**
+     * Removes this range filter from its group
+     */
+    RangeFilter.prototype.leaveGroup = function() {
+        var that = this;
+        if (!this.group) {
+            return;
+        }
+        RangeFilter.groups[this.group] = $.grep(RangeFilter.groups[this.group], function(member) {
+            return member !== that;
+        });
+        if (!RangeFilter.groups[this.group].length) {
+            delete RangeFilter.groups[this.group];
+        }
+        this.group = null;
+    };
+	
+    /**
+     * Updates the quarters and semesters from the month selection
+     * A period is selected when all its months are, and indeterminate when only some are
+     */
+    RangeFilter.prototype.syncPeriods = function() {
+        var that = this;
+        $.each(PERIODS, function(i, name) {
+            if (!that.filters[name]) {
+                return;
+            }
+            that[name].clear();
+            for (var value = 1; value <= 12 / PERIOD_MONTHS[name]; value++) {
+                var months = that.getPeriodMonths(name, value),
+                    count = $.grep(months, function(month) {
+                        return $.inArray(month, that.month) != -1;
+                    }).length,
+                    $element = that.$el.find('.btn-' + name + '[data-value=' + value + ']');
+
+                if (count == months.length) {
+                    that[name].push(value);
+                }
+                that.setButtonState($element, count == months.length);
+                $element.toggleClass('btn-indeterminate', count > 0 && count < months.length);
+                if (count > 0 && count < months.length) {
+                    $element.attr('aria-pressed', 'mixed');
+                }
+            }
+        });
+    };
+
+    /**
+     * Returns the months of a quarter or semester
+     * @param {string} name ('quarter' or 'semester')
+     * @param {int|int[]} values
+     * @return {int[]}
+     */
+    RangeFilter.prototype.getPeriodMonths = function(name, values) {
+        var size = PERIOD_MONTHS[name],
+            start = this.getFiscalYearStart(),
+            months = [];
+        $.each(values == '*' ? this.getValues(name) : normalizeValues(values), function(i, value) {
+            // periods of a fiscal year count from its first month
+            for (var month = (value - 1) * size; month < value * size; month++) {
+                months.push((month + start - 1) % 12 + 1);
+            }
+        });
+        return months;
+    };
+
+    /**
+     * Adds the months of the selected quarters and semesters to the month selection
+     */
+    RangeFilter.prototype.mergePeriodSelection = function() {
+        var that = this,
+            month = this.filters.month;
+        $.each(PERIODS, function(i, name) {
+            var filter = that.filters[name];
+            if (!filter || !filter.selected || month.selected == '*') {
+                return;
+            }
+            month.selected = ($.isArray(month.selected) ? normalizeValues(month.selected) : [])
+                .concat(that.getPeriodMonths(name, filter.selected));
+        });
+    };
+
+    /**
+     * Flags the day buttons which exist in none of the selected year/month pairs
+     * An empty year or month selection is treated as the whole configured range
+     */
+    RangeFilter.prototype.checkDays = function() {
+        var that = this,
+            years = this.year.length ? this.year : this.getValues('year'),
+            months = this.month.length ? this.month : this.getValues('month'),
+            warn = this.filters.day.nonexistent == 'warn',
+            maxDay = 0;
+
+        $.each(years, function(i, year) {
+            $.each(months, function(j, month) {
+                maxDay = Math.max(maxDay, daysInMonth(that.getCalendarYear(year, month), month));
+            });
+        });
+
+        this.getButtons('day').each(function() {
+            var $element = $(this),
+                nonexistent = $element.data('value') > maxDay;
+            $element.toggleClass('day-nonexistent', nonexistent && warn);
+            that.setButtonDisabled($element, 'nonexistent', nonexistent && !warn);
+        });
+    };
+
+    /**
+     * Disables the preset buttons whose period is out of the year range
+     */
+    RangeFilter.prototype.checkPresets = function() {
+        var that = this;
+        this.$el.find('.btn-preset').each(function() {
+            var $element = $(this);
+            that.setButtonDisabled($element, 'outOfRange', !that.isPresetAvailable(that.getPresetSelection($element.data('preset'))));
+        });
+    };
+
+    /**
+     * Disables the week buttons which exist in none of the selected years (week 53)
+     * An empty year selection is treated as the whole configured range
+     */
+    RangeFilter.prototype.checkWeeks = function() {
+        if (!this.filters.week) {
+            return;
+        }
+        var that = this,
+            system = this.getWeekSystem(),
+            years = this.year.length ? this.getCalendarYears() : this.getValues('year'),
+            maxWeek = 0;
+
+        if (!this.year.length && this.getFiscalYearStart() != 1) {
+            years.unshift(years[0] - 1);
+        }
+        $.each(years, function(i, year) {
+            maxWeek = Math.max(maxWeek, getWeeksInYear(year, system));
+        });
+
+        this.getButtons('week').each(function() {
+            var $element = $(this);
+            that.setButtonDisabled($element, 'nonexistent', $element.data('value') > maxWeek);
+        });
+    };
+
+    /**
+     * Returns the settings of the histogram, its counts being parsed
+     * @return {object} ({counts, display: 'badge'|'shade', empty: 'disable'|'dim'|false, entries, depth})
+     */
+    RangeFilter.prototype.getHistogramSettings = function() {
+        var settings = this.settings.histogram,
+            histogram = $.extend({ counts: null, display: 'badge', empty: 'disable' },
+                $.isPlainObject(settings) && (settings.counts || settings.display || settings.empty !== undefined) ? settings : { counts: settings });
+        histogram.entries = $.isPlainObject(histogram.counts) ? parseHistogram(histogram.counts) : [];
+        if (this.getFiscalYearStart() != 1) {
+            // calendar years only become fiscal ones when their months are known
+            var start = this.getFiscalYearStart();
+            histogram.entries = $.map(histogram.entries, function(entry) {
+                return entry.month ? $.extend(entry, { year: getFiscalYear(entry.year, entry.month, start) }) : null;
+            });
+        }
+        histogram.depth = 0;
+        $.each(histogram.entries, function(i, entry) {
+            histogram.depth = Math.max(histogram.depth, entry.depth);
+        });
+        return histogram;
+    };
+
+    /**
+     * Replaces the counts shown on the buttons
+     * @param {object|function} counts (see getCount())
+     */
+    RangeFilter.prototype.setCounts = function(counts) {
+        this.settings.histogram = $.extend({}, this.histogram, { counts: counts });
+        this.histogram = this.getHistogramSettings();
+        this.updateCounts();
+    };
+
+    /**
+     * Returns the number of records of a year, month or day, the other filters
+     * being applied (an empty selection counts as a full one)
+     * The counts come either from a map whose keys are YYYY, YYYY-MM or
+     * YYYY-MM-DD, only the most precise ones being used, or from a function
+     * taking the filter name, the value and the current filter
+     * @param {string} name
+     * @param {int} value
+     * @return {int|undefined} undefined when the counts are not precise enough
+     */
+    RangeFilter.prototype.getCount = function(name, value) {
+        var that = this,
+            level = $.inArray(name, COUNT_FILTERS) + 1,
+            count = 0;
+        if ($.isFunction(this.histogram.counts)) {
+            return this.histogram.counts.call(this, name, value, this.getFilter());
+        }
+        if (level > this.histogram.depth) {
+            return undefined;
+        }
+        $.each(this.histogram.entries, function(i, entry) {
+            if (entry.depth != that.histogram.depth || entry[name] != value) {
+                return;
+            }
+            for (var j = 0; j < entry.depth; j++) {
+                var other = COUNT_FILTERS[j];
+                if (other != name && that[other].length && $.inArray(entry[other], that[other]) == -1) {
+                    return;
+                }
+            }
+            count += entry.count;
+        });
+        return count;
+    };
+
+    /**
+     * Shows the counts on the year, month and day buttons, as badges or as
+     * shades, and disables or dims the empty ones
+     */
+    RangeFilter.prototype.updateCounts = function() {
+        if (!this.histogram) {
+            return;
+        }
+        var that = this,
+            settings = this.histogram;
+
+        $.each(COUNT_FILTERS, function(i, name) {
+            var $buttons = that.$el.find('.btn-' + name),
+                counts = [],
+                max = 0;
+
+            $buttons.each(function(j) {
+                counts[j] = that.getCount(name, $(this).data('value'));
+                max = Math.max(max, counts[j] || 0);
+            });
+
+            $buttons.each(function(j) {
+                var $element = $(this),
+                    count = counts[j],
+                    empty = count === 0,
+                    // a selected button stays enabled so it can be deselected
+                    disable = empty && settings.empty == 'disable' && !that.isSelected(name, $element.data('value'));
+
+                $element.children('.range-filter-count').remove();
+                $element.css('opacity', '');
+                if (count !== undefined && settings.display == 'badge') {
+                    $element.append('<span class="' + joinClasses('range-filter-count', that.theme.badge) + '">' + count + '</span>');
+                }
+                if (count !== undefined && settings.display == 'shade' && !empty) {
+                    $element.css('opacity', 0.4 + 0.6 * count / max);
+                }
+                $element.toggleClass('count-empty', empty && !disable && settings.empty !== false);
+                that.setButtonDisabled($element, 'empty', disable);
+            });
+        });
+    };
+
+    /**
+     * Announces, through the live region, the filters whose selection changed
+     * @param {object} previous ({year, month, day})
+     */
+    RangeFilter.prototype.announce = function(previous) {
+        var that = this,
+            messages = [];
+        $.each(FILTERS, function(i, name) {
+            if (previous[name].join(',') != that[name].join(',')) {
+                messages.push(fmt(that.lang.selectedCount, that.lang[name + 'Label'], that[name].length));
+            }
+        });
+        if (messages.length) {
+            this.$el.find('.range-filter-status').text(messages.join(', '));
+        }
+    };
+
+    /**
+     * Makes the given button the only one of its group reachable with Tab
+     * @param {jQuery} $element
+     */
+    RangeFilter.prototype.setFocusable = function($element) {
+        $element.closest('[role=group]').find('[role=button]').attr('tabindex', '-1');
+        $element.attr('tabindex', '0');
+    };
+
+    /**
+     * Gives each group a tab stop, on its first selected button if any
+     */
+    RangeFilter.prototype.initFocus = function() {
+        var that = this;
+        this.$el.find('[role=group]').each(function() {
+            var $buttons = $(this).find('[role=button]').not('[hidden] [role=button]'),
+                $selected = $buttons.filter('[aria-pressed=true]');
+            if ($buttons.length) {
+                that.setFocusable(($selected.length ? $selected : $buttons).first());
+            }
+        });
+    };
+
+    /**
+     * Applies a click on a button, without firing the change event
+     * A shift-click gives the span from the last clicked button the state of
+     * that button, a ctrl/cmd-click toggles the button alone and a plain click
+     * toggles it too or, with the "exclusive" clickMode, selects it alone
+     * @param {jQuery} $element
+     * @param {jQuery.Event} e
+     * @return {boolean} the new state of the button
+     */
+    RangeFilter.prototype.pressButton = function($element, e) {
+        var that = this,
+            name = $element.closest('[role=group]').data('filter'),
+            $buttons = this.getButtons(name),
+            anchor = this.anchors[name],
+            exclusive = this.settings.clickMode == 'exclusive' && !e.ctrlKey && !e.metaKey,
+            $anchor = $buttons.filter(function() {
+                return $(this).data('value') === anchor;
+            }),
+            selected;
+
+        if (e.shiftKey && $anchor.length) {
+            var from = $buttons.index($anchor),
+                to = $buttons.index($element);
+            selected = exclusive || this.isSelected(name, anchor);
+            if (exclusive) {
+                this.setSelection(name, []);
+            }
+            $buttons.slice(Math.min(from, to), Math.max(from, to) + 1).not('[aria-disabled=true]').each(function() {
+                that.setButtonState($(this), selected);
+            });
+            return selected;
+        }
+
+        selected = exclusive || !this.isSelected(name, $element.data('value'));
+        if (exclusive) {
+            this.setSelection(name, []);
+        }
+        this.setButtonState($element, selected);
+        this.anchors[name] = $element.data('value');
+        return selected;
+    };
+
+    /**
+     * Handles the keyboard inside a group of buttons
+     *  - arrows, Home and End move the focus
+     *  - Shift + arrows select the buttons passed over
+     *  - Space and Enter press the focused button, as a click would do
+     *  - Ctrl/Cmd + A selects the whole group, Escape clears it
+     * @param {jQuery} $element focused button
+     * @param {jQuery.Event} e
+     */
+    RangeFilter.prototype.handleKey = function($element, e) {
+        var $group = $element.closest('[role=group]'),
+            name = $group.data('filter'),
+            $rows = $group.find('.range-filter-row').not('[hidden] .range-filter-row'),
+            $buttons = $rows.children('[role=button]'),
+            $row = $element.parent(),
+            index = $buttons.index($element),
+            $target;
+
+        switch (e.which) {
+            case 37: // left
+                $target = $buttons.eq(Math.max(index - 1, 0));
+                break;
+            case 39: // right
+                $target = $buttons.eq(Math.min(index + 1, $buttons.length - 1));
+                break;
+            case 38: // up
+            case 40: // down
+                var rowIndex = $rows.index($row) + (e.which == 38 ? -1 : 1),
+                    $cells = $rows.eq(rowIndex).children('[role=button]');
+                if (rowIndex < 0 || !$cells.length) {
+                    $target = $element;
+                } else {
+                    $target = $cells.eq(Math.min($row.children('[role=button]').index($element), $cells.length - 1));
+                }
+                break;
+            case 36: // home
+                $target = $buttons.first();
+                break;
+            case 35: // end
+                $target = $buttons.last();
+                break;
+            case 32: // space
+            case 13: // enter
+                if ($element.is('.btn-day-all, .btn-quarter, .btn-semester, .btn-year-prev, .btn-year-next')) {
+                    $element.trigger('click');
+                } else if (!isButtonDisabled($element)) {
+                    this.pressButton($element, e);
+                    this.prepareValues();
+                }
+                e.preventDefault();
+                return;
+            case 65: // A
+                if (!e.ctrlKey && !e.metaKey) {
+                    return;
+                }
+                this.setSelection(PERIOD_MONTHS[name] ? 'month' : name, '*');
+                this.prepareValues();
+                e.preventDefault();
+                return;
+            case 27: // escape
+                this.setSelection(PERIOD_MONTHS[name] ? 'month' : name, []);
+                this.prepareValues();
+                e.preventDefault();
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        if (e.shiftKey && e.which != 36 && e.which != 35) {
+            var that = this;
+            $element.add($target).not('.btn-day-all, .btn-quarter, .btn-semester, .btn-year-prev, .btn-year-next, [aria-disabled=true]').each(function() {
+                that.setButtonState($(this), true);
+            });
+            this.prepareValues();
+        }
+        this.setFocusable($target);
+        $target.focus();
+    };
+
+    /**
+     * Returns every value a filter can take
+     * @param {string} name
+     * @return {int[]}
+     */
+    RangeFilter.prototype.getValues = function(name) {
+        var values = [],
+            first = 1,
+            step = 1,
+            last = { month: 12, day: 31, quarter: 4, semester: 2, weekday: 6, week: this.getWeekSystem() == 'us' ? 54 : 53, hour: 23, minute: 59 }[name];
+        if (name == 'weekday' || name == 'hour' || name == 'minute') {
+            first = 0;
+        }
+        if (name == 'minute') {
+            step = this.getMinuteStep();
+        }
+        if (name == 'year') {
+            first = this.yearRange.start;
+            last = this.yearRange.finish;
+        }
+        for (var i = first; i <= last; i += step) {
+            values.push(i);
+        }
+        return values;
+    };
+
+    /**
+     * Uses a saved state as initial selection, before the first draw
+     * Values the current configuration does not offer are dropped, and the
+     * state is ignored when none of its years is left or its preset is unknown
+     * @param {object} state (as given by getState(), may be partial)
+     * @return {boolean} false if the state was ignored
+     */
+    RangeFilter.prototype.restoreState = function(state) {
+        var that = this,
+            selection = {};
+        if (state.preset) {
+            if (!this.isPresetDefined(state.preset)) {
+                return false;
+            }
+            this.settings.preset = state.preset;
+            return true;
+        }
+        $.each(FILTERS, function(i, name) {
+            if (state[name] !== undefined && that.filters[name]) {
+                var values = that.getValues(name);
+                selection[name] = state[name] == '*' ? '*' : $.grep(normalizeValues(state[name]), function(value) {
+                    return $.inArray(value, values) != -1;
+                });
+            }
+        });
+        if ($.isArray(state.year) && state.year.length && !selection.year.length) {
+            return false;
+        }
+        $.each(selection, function(name, selected) {
+            that.restored[name] = selected;
+            that.settings.preset = null;
+        });
+        return true;
+    };
+
+    /**
+     * Returns the settings of the persistence
+     * @return {object} ({key, storage: 'local'|'session', expires: milliseconds})
+     */
+    RangeFilter.prototype.getPersistSettings = function() {
+        var settings = $.extend({ key: null, storage: 'local', expires: 0 },
+            $.isPlainObject(this.settings.persist) ? this.settings.persist : {});
+        if (!settings.key) {
+            if (this.status.generatedId) {
+                $.error('Missing persist key');
+            }
+            settings.key = 'rangeFilter.' + this.$el_id;
+        }
+        return settings;
+    };
+
+    /**
+     * Returns the storage used by the persistence, if the browser allows it
+     * @return {Storage|null}
+     */
+    RangeFilter.prototype.getStorage = function() {
+        try {
+            return window[this.getPersistSettings().storage + 'Storage'] || null;
+        }
+        catch (e) {
+            // storage disabled by the browser settings
+            return null;
+        }
+    };
+
+    /**
+     * Saves the current state in the storage
+     */
+    RangeFilter.prototype.savePersisted = function() {
+        var storage = this.getStorage();
+        if (!storage) {
+            return;
+        }
+        try {
+            storage.setItem(this.getPersistSettings().key, JSON.stringify({
+                state: this.getState(),
+                time: new Date().getTime()
+            }));
+        }
+        catch (e) {
+            // quota exceeded or private browsing
+        }
+    };
+
+    /**
+     * Uses the saved state as initial selection, unless it expired
+     */
+    RangeFilter.prototype.restorePersisted = function() {
+        var storage = this.getStorage(),
+            settings = this.getPersistSettings(),
+            saved = null;
+        if (!storage) {
+            return;
+        }
+        try {
+            saved = JSON.parse(storage.getItem(settings.key));
+        }
+        catch (e) {
+            saved = null;
+        }
+        if (!saved || !saved.state ||
+            (settings.expires && new Date().getTime() - saved.time > settings.expires) ||
+            !this.restoreState(saved.state)) {
+            this.clearPersisted();
+        }
+    };
+
+    /**
+     * Removes the saved state from the storage
+     */
+    RangeFilter.prototype.clearPersisted = function() {
+        var storage = this.getStorage();
+        if (storage) {
+            storage.removeItem(this.getPersistSettings().key);
+        }
+    };
+
+    /**
+     * Returns the settings of the URL synchronization
+     * @return {object} ({mode: 'query'|'hash', history: 'replace'|'push', prefix})
+     */
+    RangeFilter.prototype.getUrlSettings = function() {
+        return $.extend({ mode: 'query', history: 'replace', prefix: '' },
+            $.isPlainObject(this.settings.url) ? this.settings.url : {});
+    };
+
+    /**
+     * Reads the state stored in the URL
+     * @return {object} (as given by getState(), only with the filters found)
+     */
+    RangeFilter.prototype.readUrl = function() {
+        var that = this,
+            settings = this.getUrlSettings(),
+            params = parseParams(settings.mode == 'hash' ? window.location.hash : window.location.search),
+            preset = params[settings.prefix + 'p'],
+            state = {};
+        // a stale or crafted link may name a preset which does not exist
+        if (preset && this.isPresetDefined(preset)) {
+            return { preset: preset };
+        }
+        $.each(URL_KEYS, function(name, key) {
+            var value = params[settings.prefix + key];
+            if (value !== undefined) {
+                // the URL may have been crafted: keep the ranges within the possible values
+                var bounds = name == 'year' ? [1, 9999] : that.getValues(name);
+                state[name] = value == '*' ? '*' : decodeValues(value, bounds[0], bounds[bounds.length - 1]);
+            }
+        });
+        return state;
+    };
+
+    /**
+     * Writes the current state in the URL, as a new history entry with the
+     * "push" history setting so back/forward navigate through the changes
+     */
+    RangeFilter.prototype.writeUrl = function() {
+        if (!window.history || !window.history.replaceState) {
+            return;
+        }
+        var settings = this.getUrlSettings(),
+            location = window.location,
+            hash = settings.mode == 'hash',
+            params = parseParams(hash ? location.hash : location.search),
+            state = this.getState(),
+            url;
+
+        $.each(URL_KEYS, function(name, key) {
+            delete params[settings.prefix + key];
+            if (state[name] !== undefined) {
+                params[settings.prefix + key] = state[name] == '*' ? '*' : encodeValues(state[name]);
+            }
+        });
+        delete params[settings.prefix + 'p'];
+        if (state.preset) {
+            params[settings.prefix + 'p'] = state.preset;
+        }
+
+        if (hash) {
+            url = location.pathname + location.search + '#' + serializeParams(params);
+        } else {
+            url = location.pathname + '?' + serializeParams(params) + location.hash;
+        }
+        if (url != location.pathname + location.search + location.hash) {
+            window.history[settings.history == 'push' ? 'pushState' : 'replaceState'](null, '', url);
+        }
+    };
+
+    /**
+     * Add all events listeners
+     */
+    RangeFilter.prototype.bindEvents = function() {
+        var that = this,
+            events = window.PointerEvent ?
+                { down: 'pointerdown', move: 'pointermove', up: 'pointerup pointercancel' } :
+                { down: 'mousedown', move: 'mousemove', up: 'mouseup' },
+            buttons = $.map(FILTERS, function(name) {
+                return '.btn-' + name;
+            }).join(', ');
+
+        if (this.settings.url) {
+            // back/forward buttons
+            $(window).on('popstate.' + this.namespace, function() {
+                var state = that.readUrl();
+                // the filters missing from the URL get back their initial selection
+                if (!state.preset) {
+                    $.each(FILTERS, function(i, name) {
+                        if (state[name] === undefined && that.filters[name]) {
+                            state[name] = that.filters[name].selected || [];
+                        }
+                    });
+                }
+                that.status.restoringUrl = true;
+                that.setState(state);
+                that.status.restoringUrl = false;
+            });
+        }
+
+        $(document).on(namespaceEvents(events.up, this.namespace), function() {
+            // the drag ends wherever the pointer is released
+            if (that.$dragged) {
+                that.$dragged = null;
+                that.withSource('user', that.prepareValues);
+            }
+        });
+
+        this.$el.on(namespaceEvents(events.down, 'rangeFilter'), buttons, function(e) {
+            var $this = $(this);
+            // primary button, touch contact or pen tip only
+            if (e.originalEvent.button !== 0 || isButtonDisabled($this)){
+                return;
+            }
+            // the state given to the first button is painted over the others
+            that.$dragged = $this;
+            that.paint = that.pressButton($this, e);
+        });
+
+        // touch and pen pointers stay captured by the button where they went down,
+        // so the button under the pointer is found by hit-testing
+        this.$el.on(namespaceEvents(events.move, 'rangeFilter'), function(e) {
+            if (!that.$dragged){
+                return;
+            }
+            var $target = $(document.elementFromPoint(e.originalEvent.clientX, e.originalEvent.clientY)).closest(buttons);
+            if ($target.length && !$target.is(that.$dragged) && $.contains(that.$el[0], $target[0]) && !isButtonDisabled($target)){
+                that.$dragged = $target;
+                that.setButtonState($target, that.paint);
+            }
+        });
+
+        this.$el.on('keydown.rangeFilter', '[role=group] [role=button]', function(e) {
+            var $this = $(this);
+            that.withSource('user', function() {
+                that.handleKey($this, e);
+            });
+        });
+
+        this.$el.on('focus.rangeFilter', '[role=button]', function() {
+            that.setFocusable($(this));
+        });
+
+        this.$el.on('click.rangeFilter', '.btn-day-all', function() {
+            that.setSelection('day', that.selection.day.length == that.getValues('day').length ? [] : '*');
+            that.withSource('user', that.prepareValues);
+        });
+
+        this.$el.on('click.rangeFilter', '.btn-year-prev, .btn-year-next', function() {
+            var $this = $(this),
+                size = that.getYearPageSize();
+            if (!isButtonDisabled($this)) {
+                that.setYearPage(that.yearPage + ($this.hasClass('btn-year-prev') ? -size : size));
+            }
+        });
+
+        this.$el.on('click.rangeFilter', '.btn-preset', function() {
+            var id = $(this).data('preset');
+            if (isButtonDisabled($(this))) {
+                return;
+            }
+            that.withSource('user', function() {
+                that.applyPreset(id);
+            });
+        });
+
+        this.$el.on('keydown.rangeFilter', '.btn-preset', function(e) {
+            // space or enter
+            if (e.which == 32 || e.which == 13) {
+                $(this).trigger('click');
+                e.preventDefault();
+            }
+        });
+
+        this.$el.on('click.rangeFilter', '.btn-quarter, .btn-semester', function() {
+            var $this = $(this),
+                name = $this.hasClass('btn-quarter') ? 'quarter' : 'semester',
+                months = that.getPeriodMonths(name, $this.data('value'));
+
+            if ($.inArray($this.data('value'), that[name]) != -1) {
+                that.setSelection('month', $.grep(that.month, function(month) {
+                    return $.inArray(month, months) == -1;
+                }));
+            } else {
+                that.setSelection('month', that.month.concat(months));
+            }
+            that.withSource('user', that.prepareValues);
+        });
+    };
+
+    // TEMPLATES
+    // ===============================
+    /**
+     * Returns presets bar
+     * @return {string}
+     */
+    RangeFilter.prototype.getPresetsInput = function() {
+        var that = this,
+            buttons = '';
+        $.each(this.getPresetIds(), function(i, id) {
+            buttons += that.getButton('preset', undefined, that.getPresetLabel(id), false, undefined, { tabindex: 0, 'data-preset': id });
+        });
+        return '<div class="' + joinClasses(this.theme.columns.presets, 'col-presets') + '" role="toolbar" aria-label="' + escapeHtml(this.lang.presetsLabel) + '">' +
+            this.getRow('presets', buttons) + '</div>';
+    };
+
+    /**
+     * Returns years input
+     * @return {string}
+     */
+    RangeFilter.prototype.getYearInput = function() {
+        var size = this.getYearPageSize(),
+            range = this.yearRange,
+            items = [],
+            template;
+        for (var i = range.start; i <= range.finish; i++) {
+            items.push({ value: i, label: this.getFiscalYearStart() == 1 ? i : fmt(this.lang.fiscalYear, i) });
+        }
+        if (!size || !this.filters.year.visible) {
+            return this.getGrid('year', items, 5);
+        }
+
+        // a page per block of years (2010-2019, 2020-2029...), the one holding
+        // the last selected year, or the last one, being shown
+        var selected = this.selection.year,
+            last = this.yearPage !== null ? this.yearPage : (selected.length ? Math.max.apply(Math, selected) : range.finish);
+
+        this.yearPage = Math.min(Math.max(last, range.start), range.finish);
+        this.yearPage -= ((this.yearPage % size) + size) % size;
+        template = '<div class="' + joinClasses(this.theme.columns.year, 'col-year') + '" role="group" data-filter="year" aria-label="' + escapeHtml(this.lang.yearLabel) + '">' +
+            this.getRow('year',
+                this.getButton('year-prev', undefined, '\u2039', false, undefined, { 'aria-pressed': null, 'aria-label': this.lang.previousYears }) +
+                '<span class="year-page-label"></span>' +
+                this.getButton('year-next', undefined, '\u203a', false, undefined, { 'aria-pressed': null, 'aria-label': this.lang.nextYears }),
+                'year-pager');
+        for (var page = range.start - ((range.start % size) + size) % size; page <= range.finish; page += size) {
+            template += '<div class="year-page" data-page="' + page + '"' + (page == this.yearPage ? '' : ' hidden') + '>' +
+                this.getRows('year', $.grep(items, function(item) {
+                    return item.value >= page && item.value < page + size;
+                }), 5) + '</div>';
+        }
+        return template + '</div>';
+    };
+
+    /**
+     * Returns months input
+     * @return {string}
+     */
+    RangeFilter.prototype.getMonthInput = function() {
+        var months = this.lang.months,
+            start = this.getFiscalYearStart(),
+            items = [];
+        // fiscal years start the row with their first month
+        for (var i = 0; i <= 11; i++) {
+            var month = (i + start - 1) % 12 + 1;
+            items.push({ value: month, label: months[month - 1] });
+        }
+        return this.getGrid('month', items, 6);
+    };
+
+    /**
+     * Returns semesters input
+     * @return {string}
+     */
+    RangeFilter.prototype.getSemesterInput = function() {
+        var items = [];
+        for (var i = 1; i <= 2; i++) {
+            items.push({ value: i, label: this.lang.semesters[i - 1] });
+        }
+        return this.getGrid('semester', items, 1);
+    };
+
+    /**
+     * Returns quarters input
+     * @return {string}
+     */
+    RangeFilter.prototype.getQuarterInput = function() {
+        var items = [];
+        for (var i = 1; i <= 4; i++) {
+            items.push({ value: i, label: this.lang.quarters[i - 1] });
+        }
+        return this.getGrid('quarter', items, 2);
+    };
+
+    /**
+     * Returns days input
+     * @return {string}
+     */
+    RangeFilter.prototype.getDayInput = function() {
+        var items = [];
+        for (var i = 1; i <= 31; i++) {
+            items.push({ value: i, label: i });
+        }
+        return this.getGrid('day', items, 16,
+            this.getButton('day-all', undefined, this.lang.allDays, this.selection.day.length == items.length, this.lang.allDaysTitle));
+    };
+
+    /**
+     * Returns days of week input, starting on the configured first day
+     * @return {string}
+     */
+    RangeFilter.prototype.getWeekdayInput = function() {
+        var firstDay = this.filters.weekday.firstDay,
+            items = [];
+        if (firstDay === undefined) {
+            firstDay = this.lang.firstDay;
+        }
+        for (var i = 0; i < 7; i++) {
+            var value = (firstDay + i) % 7;
+            items.push({ value: value, label: this.lang.weekdays[value] });
+        }
+        return this.getGrid('weekday', items, 7);
+    };
+
+    /**
+     * Returns weeks input, in rows of 13 weeks
+     * @return {string}
+     */
+    RangeFilter.prototype.getWeekInput = function() {
+        var items = [];
+        $.each(this.getValues('week'), function(i, week) {
+            items.push({ value: week, label: week });
+        });
+        return this.getGrid('week', items, 13);
+    };
+
+    /**
+     * Returns hours input, morning and afternoon on separate rows
+     * @return {string}
+     */
+    RangeFilter.prototype.getHourInput = function() {
+        var items = [];
+        $.each(this.getValues('hour'), function(i, hour) {
+            items.push({ value: hour, label: pad(hour) });
+        });
+        return this.getGrid('hour', items, 12);
+    };
+
+    /**
+     * Returns minute buckets input
+     * @return {string}
+     */
+    RangeFilter.prototype.getMinuteInput = function() {
+        var items = [];
+        $.each(this.getValues('minute'), function(i, minute) {
+            items.push({ value: minute, label: ':' + pad(minute) });
+        });
+        return this.getGrid('minute', items, 12);
+    };
+
+    /**
+     * Returns a group of toggle buttons, split in rows
+     * @param {string} name
+     * @param {object[]} items ({value, label})
+     * @param {int} perRow
+     * @param {string} [extra] markup appended to the last row
+     * @return {string}
+     */
+    RangeFilter.prototype.getGrid = function(name, items, perRow, extra) {
+        var filter = this.filters[name],
+            template = '<div class="' + joinClasses(this.theme.columns[name], 'col-' + name) + '" role="group" data-filter="' + name + '" aria-label="' + escapeHtml(this.lang[name + 'Label']) + '">';
+        if (filter.visible) {
+            template += this.getRows(name, items, perRow, extra);
+        } else {
+            template += this.getRow(name, '');
+        }
+        template += '</div>';
+        return template;
+    };
+
+    /**
+     * Returns the rows of buttons of a grid
+     * @param {string} name
+     * @param {object[]} items ({value, label})
+     * @param {int} perRow
+     * @param {string} [extra] markup appended to the last row
+     * @return {string}
+     */
+    RangeFilter.prototype.getRows = function(name, items, perRow, extra) {
+        var that = this,
+            template = '',
+            buttons = '';
+        $.each(items, function(i, item) {
+            if (i > 0 && i % perRow === 0) {
+                template += that.getRow(name, buttons);
+                buttons = '';
+            }
+            buttons += that.getButton(name, item.value, item.label, that.isSelected(name, item.value));
+        });
+        return template + this.getRow(name, buttons + (extra || ''));
+    };
+
+    /**
+     * Returns a row of buttons, through the "row" template when there is one
+     * @param {string} name
+     * @param {string} content
+     * @param {string} [className]
+     * @return {string}
+     */
+    RangeFilter.prototype.getRow = function(name, content, className) {
+        var row = {
+            name: name,
+            content: content,
+            className: joinClasses('range-filter-row', this.theme.row, className)
+        };
+        if (this.settings.templates.row) {
+            return this.settings.templates.row.call(this, row);
+        }
+        return '<div class="' + row.className + '">' + content + '</div>';
+    };
+
+    /**
+     * Returns a toggle button, through the "button" template when there is one
+     * Custom templates have to keep the class and attributes they are given;
+     * the attributes come escaped, the label as plain text
+     * @param {string} name
+     * @param {int} value
+     * @param {string} label (text, not markup)
+     * @param {boolean} selected
+     * @param {string} [title]
+     * @param {object} [attributes] added or, when null, removed attributes
+     * @return {string}
+     */
+    RangeFilter.prototype.getButton = function(name, value, label, selected, title, attributes) {
+        var button = {
+                name: name,
+                value: value,
+                label: label,
+                selected: selected,
+                title: title,
+                className: joinClasses(this.theme.button, selected ? this.theme.selected : this.theme.unselected, 'btn-' + name),
+                attributes: ''
+            };
+        $.each($.extend({
+            role: 'button',
+            tabindex: -1,
+            'aria-pressed': selected ? 'true' : 'false',
+            'data-value': value,
+            title: title
+        }, attributes), function(key, attribute) {
+            if (attribute !== undefined && attribute !== null && attribute !== '') {
+                button.attributes += ' ' + key + '="' + escapeHtml(attribute) + '"';
+            }
+        });
+        if (this.settings.templates.button) {
+            return this.settings.templates.button.call(this, button);
+        }
+        return '<a class="' + escapeHtml(button.className) + '"' + button.attributes + '>' + escapeHtml(label) + '</a>';
+    };
+
+    /**
+     * Returns the region listing the broken constraints
+     * @return {string}
+     */
+    RangeFilter.prototype.getErrorsRegion = function() {
+        return '<div class="' + joinClasses(this.theme.errors, 'range-filter-errors') + '" role="alert"></div>';
+    };
+
+    /**
+     * Returns the live region used to announce selection changes
+     * @return {string}
+     */
+    RangeFilter.prototype.getStatusRegion = function() {
+        return '<div class="' + joinClasses(this.theme.srOnly, 'range-filter-status') + '" role="status" aria-live="polite"></div>';
+    };
+
+    // JQUERY PLUGIN DEFINITION
+    // ===============================
+    $.fn.rangeFilter = function(option) {
+        var args = Array.prototype.slice.call(arguments, 1),
+            options = (typeof option == 'object' && option) || {},
+            result;
+
+        this.each(function(i) {
+            var $this = $(this),
+                data = $this.data('rangeFilter');
+
+            if (!data && option == 'destroy') {
+                return;
+            }
+            if (!data) {
+                data = new RangeFilter($this, options);
+                $this.data('rangeFilter', data);
+            }
+            if (typeof option == 'string') {
+                if (!$.isFunction(data[option])) {
+                    $.error('Unknown method ' + option);
+                }
+                var value = data[option].apply(data, args);
+                // like jQuery getters, values come from the first element
+                if (i === 0) {
+                    result = value;
+                }
+            }
+        });
+
+        return result === undefined ? this : result;
+    };
+
+    $.fn.rangeFilter.defaults = {
+        set: function(options) {
+            $.extendext(true, 'replace', RangeFilter.DEFAULTS, options);
+        },
+        get: function(key) {
+            var options = RangeFilter.DEFAULTS;
+            if (key) {
+                options = options[key];
+            }
+            return $.extend(true, {}, options);
+        }
+    };
+
+    $.fn.rangeFilter.regional = RangeFilter.regional;
+    $.fn.rangeFilter.presets = RangeFilter.presets;
+    $.fn.rangeFilter.dialects = RangeFilter.dialects;
+    $.fn.rangeFilter.themes = RangeFilter.themes;
+    $.fn.rangeFilter.constructor = RangeFilter;
+    $.fn.rangeFilter.extend = RangeFilter.extend;
+    $.fn.rangeFilter.define = RangeFilter.define;
+
+    // UTILITIES
+    // ===============================
+    /**
+     * Number of instances created, used to namespace their document handlers
+     */
+    var instances = 0;
+
+    /**
+     * Names of the filters handled by the selection methods
+     */
+    var FILTERS = ['year', 'month', 'day', 'weekday', 'week', 'hour', 'minute'];
+
+    /**
+     * Adds a namespace to each event of a space separated list
+     * @param events {string}
+     * @param namespace {string}
+     * @return {string}
+     */
+    function namespaceEvents(events, namespace) {
+        return $.map(events.split(' '), function(event) {
+            return event + '.' + namespace;
+        }).join(' ');
+    }
+
+    /**
+     * Names of the filters derived from the month selection
+     */
+    var PERIODS = ['semester', 'quarter'];
+
+    /**
+     * Number of months of each period
+     */
+    var PERIOD_MONTHS = { quarter: 3, semester: 6 };
+
+    /**
+     * Returns the callback option of an event (beforechange: onBeforeChange,
+     * yearchange: onYearChange...)
+     * @param name {string}
+     * @return {string}
+     */
+    function getCallbackName(name) {
+        return 'on' + name.replace(/^(before|after)?(\w*?)(change)?$/, function(m, when, filter, change) {
+            return $.map([when, filter, change], function(part) {
+                return part ? part.charAt(0).toUpperCase() + part.slice(1) : '';
+            }).join('');
+        });
+    }
+
+    /**
+     * Stages of the life of an instance plugins can hook into
+     */
+    var HOOKS = ['afterInit', 'beforeDraw', 'afterDraw', 'beforeChange', 'afterChange', 'beforeDestroy'];
+
+    /**
+     * Filters which can show counts, from the least to the most precise
+     */
+    var COUNT_FILTERS = ['year', 'month', 'day'];
+
+    /**
+     * Keys of the filters in the URL, the preset being stored as "p"
+     */
+    var URL_KEYS = { year: 'y', month: 'm', day: 'd', weekday: 'wd', week: 'w', hour: 'h', minute: 'mi' };
+
+    /**
+     * Converts a value or a list of values into a list of integers
+     * @param values {int|string|array}
+     * @return {int[]}
+     */
+    function normalizeValues(values) {
+        return $.map($.isArray(values) ? values : [values], function(value) {
+            return parseInt(value, 10);
+        });
+    }
+
+    /**
+     * Returns a sorted copy of a list of integers
+     * @param values {int[]}
+     * @return {int[]}
+     */
+    function sortValues(values) {
+        return values.slice().sort(function(a, b) {
+            return a - b;
+        });
+    }
+
+    /**
+     * Returns the number of days of a month
+     * @param year {int}
+     * @param month {int} (1-12)
+     * @return {int}
+     */
+    function daysInMonth(year, month) {
+        return new Date(year, month, 0).getDate();
+    }
+
+    /**
+     * Formats a date as YYYY-MM-DD
+     * @param year {int}
+     * @param month {int} (1-12)
+     * @param day {int}
+     * @return {string}
+     */
+    function formatDate(year, month, day) {
+        return year + '-' + pad(month) + '-' + pad(day);
+    }
+
+    /**
+     * Converts a Date, an ISO string or epoch milliseconds into a Date
+     * ISO strings without time zone are read as local time, and must name an
+     * existing date and time: 2015-02-31 is not rolled over to March
+     * @param value {Date|string|number}
+     * @return {Date|null} null when the value is not a valid date
+     */
+    function parseDate(value) {
+        var date = null,
+            parts;
+        if (Object.prototype.toString.call(value) == '[object Date]') {
+            date = new Date(value.getTime());
+        } else if (typeof value == 'number') {
+            date = new Date(value);
+        } else if (typeof value == 'string') {
+            parts = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/.exec(value);
+            if (parts) {
+                date = new Date(+parts[1], parts[2] - 1, +parts[3], +(parts[4] || 0), +(parts[5] || 0), +(parts[6] || 0));
+                // the hours are not compared, a DST gap legitimately moves them
+                if (date.getFullYear() != parts[1] || date.getMonth() != parts[2] - 1 || date.getDate() != parts[3] ||
+                    (parts[4] || 0) > 23 || (parts[5] || 0) > 59 || (parts[6] || 0) > 59) {
+                    return null;
+                }
+            } else {
+                date = new Date(value);
+            }
+        }
+        return date && !isNaN(date.getTime()) ? date : null;
+    }
+
+    /**
+     * Returns the fiscal year of a month, named after the calendar year it ends in
+     * @param year {int}
+     * @param month {int}
+     * @param start {int} first month of the fiscal year
+     * @return {int}
+     */
+    function getFiscalYear(year, month, start) {
+        return start != 1 && month >= start ? year + 1 : year;
+    }
+
+    /**
+     * Returns the range filters of some elements
+     * @param target {string|Element|jQuery|RangeFilter}
+     * @return {RangeFilter[]}
+     */
+    function getInstances(target) {
+        if (target instanceof RangeFilter) {
+            return [target];
+        }
+        return $(target).map(function() {
+            var data = $(this).data('rangeFilter');
+            if (!data) {
+                $.error('Element is not a range filter');
+            }
+            return data;
+        }).get();
+    }
+
+    /**
+     * Parses a histogram whose keys are YYYY, YYYY-MM or YYYY-MM-DD
+     * @param counts {object}
+     * @return {object[]} ({year, month, day, depth, count})
+     */
+    function parseHistogram(counts) {
+        var entries = [];
+        $.each(counts, function(key, count) {
+            var parts = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(key);
+            if (parts) {
+                entries.push({
+                    year: +parts[1],
+                    month: parts[2] ? +parts[2] : undefined,
+                    day: parts[3] ? +parts[3] : undefined,
+                    depth: parts[3] ? 3 : (parts[2] ? 2 : 1),
+                    count: +count
+                });
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Returns the date of an array item
+     * @param item {*}
+     * @param accessor {function|string|undefined}
+     * @return {*}
+     */
+    function getItemDate(item, accessor) {
+        if ($.isFunction(accessor)) {
+            return accessor(item);
+        }
+        return accessor ? item[accessor] : item;
+    }
+
+    /**
+     * Returns the selection covering a range of dates, along with the range
+     * @param from {Date}
+     * @param to {Date}
+     * @return {object} ({year, month, day, from, to})
+     */
+    function getRangeSelection(from, to) {
+        var years = [],
+            months = [];
+        for (var date = new Date(from.getFullYear(), from.getMonth(), 1); date <= to; date.setMonth(date.getMonth() + 1)) {
+            if ($.inArray(date.getFullYear(), years) == -1) {
+                years.push(date.getFullYear());
+            }
+            if ($.inArray(date.getMonth() + 1, months) == -1) {
+                months.push(date.getMonth() + 1);
+            }
+        }
+        return {
+            year: years,
+            month: sortValues(months),
+            day: '*',
+            from: from,
+            to: to
+        };
+    }
+
+    /**
+     * Formats a date and time as YYYY-MM-DDTHH:mm
+     * @param date {Date}
+     * @return {string}
+     */
+    function formatDateTime(date) {
+        return formatDate(date.getFullYear(), date.getMonth() + 1, date.getDate()) + 'T' + pad(date.getHours()) + ':' + pad(date.getMinutes());
+    }
+
+    /**
+     * Left pads a number with zeros
+     * @param value {int}
+     * @param [length] {int} (defaults to 2)
+     * @return {string}
+     */
+    function pad(value, length) {
+        value = String(value);
+        while (value.length < (length || 2)) {
+            value = '0' + value;
+        }
+        return value;
+    }
+
+    /**
+     * Tells if a list of validation errors breaks a constraint the previous
+     * one did not, or breaks it further
+     * @param errors {object[]}
+     * @param previous {object[]}
+     * @return {boolean}
+     */
+    function isWorse(errors, previous) {
+        return $.grep(errors, function(error) {
+            var before = $.grep(previous, function(old) {
+                return old.code == error.code && old.filter == error.filter;
+            })[0];
+            return !before || (error.excess !== undefined && before.excess !== undefined && error.excess > before.excess);
+        }).length > 0;
+    }
+
+    /**
+     * Tells if a button is disabled
+     * @param $element {jQuery}
+     * @return {boolean}
+     */
+    function isButtonDisabled($element) {
+        return $element.attr('aria-disabled') == 'true';
+    }
+
+    /**
+     * Joins class names, skipping the empty ones
+     * @return {string}
+     */
+    function joinClasses() {
+        return $.grep(arguments, function(className) {
+            return !!className;
+        }).join(' ');
+    }
+
+    /**
+     * Returns the week of a date and the year the week belongs to
+     *  - iso: weeks start on Monday, week 1 holds the first Thursday of the year
+     *  - us: weeks start on Sunday, week 1 holds the 1st of January
+     * @param date {Date}
+     * @param system {string} 'iso' or 'us'
+     * @return {object} ({year, week})
+     */
+    function getWeek(date, system) {
+        if (system == 'us') {
+            var first = new Date(date.getFullYear(), 0, 1),
+                dayOfYear = Math.round((new Date(date.getFullYear(), date.getMonth(), date.getDate()) - first) / 864e5);
+            return {
+                year: date.getFullYear(),
+                week: Math.floor((dayOfYear + first.getDay()) / 7) + 1
+            };
+        }
+        // the Thursday of the week decides its year
+        var thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - (date.getDay() + 6) % 7),
+            start = getWeekStart(thursday.getFullYear(), 1, 'iso');
+        return {
+            year: thursday.getFullYear(),
+            week: Math.round((thursday - start) / 864e5 / 7 - 3 / 7) + 1
+        };
+    }
+
+    /**
+     * Returns the first day of a week, which may fall in the previous year
+     * @param year {int}
+     * @param week {int}
+     * @param system {string} 'iso' or 'us'
+     * @return {Date}
+     */
+    function getWeekStart(year, week, system) {
+        var reference = new Date(year, 0, system == 'us' ? 1 : 4),
+            offset = system == 'us' ? reference.getDay() : (reference.getDay() + 6) % 7;
+        return new Date(year, 0, reference.getDate() - offset + (week - 1) * 7);
+    }
+
+    /**
+     * Returns the number of weeks of a year
+     * @param year {int}
+     * @param system {string} 'iso' or 'us'
+     * @return {int}
+     */
+    function getWeeksInYear(year, system) {
+        // 28 December is always in the last ISO week
+        return getWeek(new Date(year, 11, system == 'us' ? 31 : 28), system).week;
+    }
+
+    /**
+     * Groups a list of integers into runs of consecutive values
+     * @param values {int[]}
+     * @return {int[][]} ([first, last] pairs)
+     */
+    function getRuns(values) {
+        var runs = [];
+        $.each(sortValues(values), function(i, value) {
+            var last = runs[runs.length - 1];
+            if (last && last[1] + 1 == value) {
+                last[1] = value;
+            } else {
+                runs.push([value, value]);
+            }
+        });
+        return runs;
+    }
+
+    /**
+     * Joins conditions, wrapping them in parentheses when there are several
+     * @param clauses {string[]}
+     * @param operator {string}
+     * @return {string}
+     */
+    function joinClauses(clauses, operator) {
+        return clauses.length > 1 ? '(' + clauses.join(operator) + ')' : clauses[0];
+    }
+
+    /**
+     * Encodes a list of integers, collapsing the consecutive ones: 1-3,6
+     * @param values {int[]}
+     * @return {string}
+     */
+    function encodeValues(values) {
+        var parts = [];
+        values = sortValues(values);
+        for (var i = 0; i < values.length; i++) {
+            var start = values[i];
+            while (values[i + 1] == values[i] + 1) {
+                i++;
+            }
+            parts.push(start == values[i] ? start : start + '-' + values[i]);
+        }
+        return parts.join(',');
+    }
+
+    /**
+     * Decodes a list of integers encoded by encodeValues(), clamped to [min, max]
+     * @param str {string}
+     * @param min {int}
+     * @param max {int}
+     * @return {int[]}
+     */
+    function decodeValues(str, min, max) {
+        var values = [];
+        $.each(str ? str.split(',') : [], function(i, part) {
+            var bounds = part.split('-'),
+                start = Math.max(parseInt(bounds[0], 10), min),
+                end = Math.min(bounds.length > 1 ? parseInt(bounds[1], 10) : parseInt(bounds[0], 10), max);
+            for (var value = start; value <= end; value++) {
+                values.push(value);
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Parses a query string or a hash into a map of decoded keys and values
+     * @param str {string}
+     * @return {object}
+     */
+    function parseParams(str) {
+        var params = {};
+        $.each(str.replace(/^[?#]/, '').split('&'), function(i, pair) {
+            if (pair) {
+                var index = pair.indexOf('=');
+                params[decodeParam(index == -1 ? pair : pair.substr(0, index))] = index == -1 ? '' : decodeParam(pair.substr(index + 1));
+            }
+        });
+        return params;
+    }
+
+    /**
+     * Decodes a query string component, "+" standing for a space
+     * Malformed components are kept as they are
+     * @param str {string}
+     * @return {string}
+     */
+    function decodeParam(str) {
+        try {
+            return decodeURIComponent(str.replace(/\+/g, ' '));
+        }
+        catch (e) {
+            return str;
+        }
+    }
+
+    /**
+     * Builds a query string from a map built by parseParams()
+     * Commas are left readable, as in the encoded lists of values
+     * @param params {object}
+     * @return {string}
+     */
+    function serializeParams(params) {
+        return $.map(params, function(value, key) {
+            return encodeURIComponent(key) + '=' + encodeURIComponent(value).replace(/%2C/g, ',');
+        }).join('&');
+    }
+
+    /**
+     * Utility to iterate over options, like the "plugins" one.
      * it accept three formats: array of values, map, array of 1-element maps
      *
      * @param options {object|array}
@@ -431,6 +3705,16 @@ var leftButtonDown = false;
         }
     }
 
+    /**
+     * Escapes a text to be put in markup, as content or attribute value
+     * @param str {string|int}
+     * @return {string}
+     */
+    function escapeHtml(str) {
+        return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
     /**
      * Replaces {0}, {1}, ... in a string
      * @param str {string}